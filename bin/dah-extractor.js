@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+/**
+ * DAH Extractor CLI
+ * Converts DAH files without the Electron app, for scripted AIRAC updates
+ *
+ * Exit codes:
+ *   0 - every input converted
+ *   1 - one or more inputs failed to convert, or the CLI failed unexpectedly
+ *   2 - invalid arguments or no matching inputs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { parseDAHFile } = require('../src/js/parser');
+const { OUTPUT_FORMATS, getOutputFormat, getOutputPaths, writeOutput } = require('../src/js/formats');
+const { convertToVATGlasses } = require('../src/js/converter');
+const { mergeVATGlasses, formatMergeReport } = require('../src/js/merge');
+const { validateAirspaces, formatIssue } = require('../src/js/validation');
+const { COORDINATE_FORMATS, getDefaultProfile, loadProfile } = require('../src/js/profile');
+const { getDiagnosticsPath, writeDiagnostics, summariseDiagnostics } = require('../src/js/diagnostics');
+const {
+  BUNDLED_REFERENCE_PATH,
+  getAppReferenceCachePath,
+  loadReferenceGeometry,
+  saveFirBoundaries
+} = require('../src/js/reference-geometry');
+
+const EXIT_OK = 0;
+const EXIT_CONVERSION_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: dah-extractor [options] <input...>
+
+Inputs can be file paths or glob patterns (e.g. "dah/*.pdf").
+
+Options:
+  -o, --output <path>    Output file, or directory when converting several inputs
+                         (default: next to each input)
+  -f, --format <format>  Output format: ${Object.keys(OUTPUT_FORMATS).join(', ')} (default: vatglasses)
+  -m, --merge <file>     Merge into an existing VATGlasses file, replacing only airspace
+                         geometry and limits (vatglasses format only)
+      --merge-metadata   Add the DAH edition metadata to a merged file that has none
+  -p, --profile <file>   Mapping profile (JSON) for groups and positions
+                         (default: the bundled VATPAC profile)
+  -c, --coordinates <format>
+                         VATGlasses point format: ${COORDINATE_FORMATS.join(', ')}
+                         (default: the profile's, else dms)
+  -r, --reference-cache <file>
+                         FIR boundary cache shared with the app, read before and
+                         updated after each parse (default: the app's)
+  -s, --strict           Do not write output for inputs with validation errors
+  -h, --help             Show this help
+`;
+
+/**
+ * Convert a glob pattern to a regular expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches any number of directories, including none
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = pattern.indexOf(']', i);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        source += pattern.slice(i, close + 1);
+        i = close;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * List every file below a directory, as paths relative to it
+ */
+function listFiles(directory, prefix = '') {
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(directory, prefix), { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+
+  return entries.flatMap(entry => {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    return entry.isDirectory() ? listFiles(directory, relative) : [relative];
+  });
+}
+
+/**
+ * Expand an input argument to the files it names
+ */
+function expandInput(input) {
+  const pattern = input.split(path.sep).join('/');
+
+  if (!/[*?[]/.test(pattern)) {
+    return [input];
+  }
+
+  // Walk from the deepest directory that has no glob characters
+  const segments = pattern.split('/');
+  const firstGlob = segments.findIndex(segment => /[*?[]/.test(segment));
+  const base = segments.slice(0, firstGlob).join('/') || '.';
+  const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+
+  return listFiles(base)
+    .filter(relative => matcher.test(relative))
+    .sort()
+    .map(relative => path.join(base, relative));
+}
+
+/**
+ * Work out where the output for an input file goes
+ */
+function resolveOutputPath(inputPath, output, format, multipleInputs) {
+  const fileName = `${path.basename(inputPath, path.extname(inputPath))}.${format.extension}`;
+
+  if (!output) {
+    return path.join(path.dirname(inputPath), fileName);
+  }
+
+  const isDirectory = multipleInputs ||
+    /[\\/]$/.test(output) ||
+    (fs.existsSync(output) && fs.statSync(output).isDirectory());
+
+  return isDirectory ? path.join(output, fileName) : output;
+}
+
+/**
+ * Run the CLI and return its exit code
+ */
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o' },
+        format: { type: 'string', short: 'f', default: 'vatglasses' },
+        merge: { type: 'string', short: 'm' },
+        'merge-metadata': { type: 'boolean' },
+        profile: { type: 'string', short: 'p' },
+        coordinates: { type: 'string', short: 'c' },
+        'reference-cache': { type: 'string', short: 'r' },
+        strict: { type: 'boolean', short: 's' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  if (args.values.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  let format;
+  try {
+    format = getOutputFormat(args.values.format);
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_USAGE;
+  }
+
+  let profile;
+  try {
+    profile = args.values.profile ? loadProfile(args.values.profile) : getDefaultProfile();
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_USAGE;
+  }
+
+  if (args.values.coordinates) {
+    if (!COORDINATE_FORMATS.includes(args.values.coordinates)) {
+      console.error(`Unknown coordinate format "${args.values.coordinates}". Available formats: ${COORDINATE_FORMATS.join(', ')}`);
+      return EXIT_USAGE;
+    }
+    profile = { ...profile, defaults: { ...profile.defaults, coordinateFormat: args.values.coordinates } };
+  }
+
+  let existing = null;
+  if (args.values.merge) {
+    if (format !== OUTPUT_FORMATS.vatglasses) {
+      console.error('--merge can only be used with the vatglasses format.');
+      return EXIT_USAGE;
+    }
+    try {
+      existing = JSON.parse(await fs.promises.readFile(args.values.merge, 'utf-8'));
+    } catch (error) {
+      console.error(`Could not read ${args.values.merge}: ${error.message}`);
+      return EXIT_USAGE;
+    }
+  }
+
+  if (args.positionals.length === 0) {
+    console.error(`No input files given.\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const inputs = [...new Set(args.positionals.flatMap(expandInput))];
+  if (inputs.length === 0) {
+    console.error('No input files matched.');
+    return EXIT_USAGE;
+  }
+
+  // Inputs with the same name (e.g. dah/a.pdf and old/a.pdf) would overwrite
+  // each other's output, and an output named like an input would overwrite it
+  const outputPaths = new Map();
+  inputs.forEach(inputPath => {
+    const outputPath = resolveOutputPath(inputPath, args.values.output, format, inputs.length > 1);
+    [...getOutputPaths(format, outputPath), getDiagnosticsPath(outputPath)].forEach(filePath => {
+      const resolved = path.resolve(filePath);
+      outputPaths.set(resolved, [...(outputPaths.get(resolved) || []), inputPath]);
+    });
+  });
+  const inputPaths = new Set(inputs.map(inputPath => path.resolve(inputPath)));
+  const clashes = [...outputPaths].filter(([outputPath, sources]) => sources.length > 1 || inputPaths.has(outputPath));
+  if (clashes.length > 0) {
+    clashes.forEach(([outputPath, sources]) => {
+      if (inputPaths.has(outputPath)) {
+        console.error(`${sources.join(', ')} would be written over the input ${outputPath}`);
+      } else {
+        console.error(`${sources.join(', ')} would all be written to ${outputPath}`);
+      }
+    });
+    console.error('Rename the inputs, choose another output or convert them separately.');
+    return EXIT_USAGE;
+  }
+
+  // The same FIR boundary cache as the app, so both give the same output for a file
+  const referenceCachePath = args.values['reference-cache'] || getAppReferenceCachePath();
+
+  let failures = 0;
+
+  for (const inputPath of inputs) {
+    try {
+      const fileContent = await fs.promises.readFile(inputPath);
+      const referenceGeometry = loadReferenceGeometry([BUNDLED_REFERENCE_PATH, referenceCachePath]);
+      const parsedData = await parseDAHFile(fileContent, { referenceGeometry });
+      saveFirBoundaries(referenceGeometry, referenceCachePath);
+
+      const issues = validateAirspaces(parsedData.airspaces);
+      issues.forEach(issue => console.warn(`${inputPath}: ${formatIssue(issue)}`));
+
+      const errorCount = issues.filter(issue => issue.severity === 'error').length;
+      if (args.values.strict && errorCount > 0) {
+        throw new Error(`${errorCount} validation error${errorCount !== 1 ? 's' : ''}, no output written`);
+      }
+
+      const outputPath = resolveOutputPath(inputPath, args.values.output, format, inputs.length > 1);
+
+      let vatglassesData;
+      if (existing) {
+        const { data, report } = mergeVATGlasses(existing, convertToVATGlasses(parsedData, profile), {
+          addMetadata: args.values['merge-metadata']
+        });
+        vatglassesData = data;
+        console.log(formatMergeReport(report));
+      }
+
+      const written = await writeOutput(format, outputPath, parsedData, { vatglassesData, profile });
+      written.push(await writeDiagnostics(outputPath, parsedData));
+
+      parsedData.warnings.forEach(warning => console.warn(`${inputPath}: ${warning}`));
+      Object.entries(summariseDiagnostics(parsedData.diagnostics)).forEach(([kind, count]) => {
+        console.warn(`${inputPath}: ${count} ${kind.toLowerCase().replace(/_/g, ' ')}${count !== 1 ? 's' : ''} (see diagnostics file)`);
+      });
+      console.log(`${inputPath} -> ${written.join(', ')} (${parsedData.airspaces.length} airspaces)`);
+    } catch (error) {
+      failures++;
+      console.error(`${inputPath}: ${error.message}`);
+    }
+  }
+
+  return failures > 0 ? EXIT_CONVERSION_FAILED : EXIT_OK;
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(`dah-extractor: ${error.message}`);
+    process.exitCode = EXIT_CONVERSION_FAILED;
+  });
@@ -0,0 +1,151 @@
+/**
+ * Builds src/data/reference-geometry.json, the bundled coastline and FIR
+ * boundary store.
+ *
+ * The coastline is Natural Earth's 1:10m land (public domain), from the
+ * world-atlas package, cut down to the land around the Australian FIRs.
+ * FIR boundaries are read from a GeoJSON file given on the command line, one
+ * feature per FIR with its ICAO code in properties.id or properties.ICAO, as in
+ * the VATSpy data project's Boundaries.geojson:
+ *
+ *   node build-reference-geometry.js [Boundaries.geojson]
+ *
+ * Without one, the FIR boundaries already in the store are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { distanceNm, initialBearing, destinationPoint } = require('./src/js/geo');
+
+const OUTPUT_PATH = path.join(__dirname, 'src', 'data', 'reference-geometry.json');
+const LAND_PATH = require.resolve('world-atlas/land-10m.json');
+
+// Land centred in this box is kept: mainland Australia, Tasmania, the
+// Torres Strait, Lord Howe, Norfolk, Christmas and the Cocos Islands
+const REGION = { south: -45, north: -9, west: 96, east: 169 };
+
+const FIRS = ['YBBB', 'YMMM'];
+
+// Decimal places kept, about a metre
+const PRECISION = 5;
+
+// Points are matched to the nearest coastline vertex, so long straight
+// stretches are split until no two vertices are further apart than this
+const MAX_SPACING_NM = 1;
+
+function buildReferenceGeometry(firPath) {
+  const existing = JSON.parse(fs.readFileSync(OUTPUT_PATH, 'utf-8'));
+  const coastline = readCoastline(JSON.parse(fs.readFileSync(LAND_PATH, 'utf-8')));
+  const firBoundaries = firPath ? readFirBoundaries(JSON.parse(fs.readFileSync(firPath, 'utf-8'))) : existing.firBoundaries;
+
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify({
+    description: existing.description,
+    sources: {
+      coastline: 'Natural Earth 1:10m land, version 4.1.0 (public domain), via world-atlas',
+      firBoundaries: firPath ? path.basename(firPath) : (existing.sources || {}).firBoundaries || null
+    },
+    coastline,
+    firBoundaries
+  }) + '\n', 'utf-8');
+
+  const points = coastline.reduce((total, line) => total + line.length, 0);
+  console.log(`Reference geometry written: ${coastline.length} coastline lines (${points} points), ` +
+    `${Object.keys(firBoundaries).length} FIR boundaries`);
+}
+
+/**
+ * Closed coastline rings in REGION from a TopoJSON land topology
+ */
+function readCoastline(topology) {
+  const { scale, translate } = topology.transform;
+
+  // Arcs are delta encoded in quantised units
+  const arcs = topology.arcs.map(arc => {
+    let x = 0;
+    let y = 0;
+    return arc.map(([dx, dy]) => {
+      x += dx;
+      y += dy;
+      return [x * scale[0] + translate[0], y * scale[1] + translate[1]];
+    });
+  });
+
+  // A negative index ~i is arc i reversed; joined arcs share their end point
+  const toRing = (indices) => indices.reduce((ring, index) => {
+    const arc = index < 0 ? [...arcs[~index]].reverse() : arcs[index];
+    return ring.concat(ring.length > 0 ? arc.slice(1) : arc);
+  }, []);
+
+  const rings = [];
+  topology.objects.land.geometries.forEach(geometry => {
+    const polygons = geometry.type === 'Polygon' ? [geometry.arcs] : geometry.arcs;
+    polygons.forEach(polygon => polygon.forEach(indices => rings.push(toRing(indices))));
+  });
+
+  return rings
+    .filter(ring => {
+      const latitude = ring.reduce((total, point) => total + point[1], 0) / ring.length;
+      const longitude = ring.reduce((total, point) => total + point[0], 0) / ring.length;
+      return latitude >= REGION.south && latitude <= REGION.north && longitude >= REGION.west && longitude <= REGION.east;
+    })
+    .map(ring => densify(ring.map(([longitude, latitude]) => ({ latitude, longitude })))
+      .map(({ latitude, longitude }) => ({ latitude: round(latitude), longitude: round(longitude) })));
+}
+
+/**
+ * Add points along the great circle between vertices more than MAX_SPACING_NM apart
+ */
+function densify(line) {
+  const points = [line[0]];
+
+  for (let i = 1; i < line.length; i++) {
+    const from = line[i - 1];
+    const distance = distanceNm(from, line[i]);
+    const steps = Math.ceil(distance / MAX_SPACING_NM);
+    const bearing = initialBearing(from, line[i]);
+
+    for (let step = 1; step < steps; step++) {
+      points.push(destinationPoint(from, bearing, distance * step / steps));
+    }
+    points.push(line[i]);
+  }
+
+  return points;
+}
+
+/**
+ * Outer boundaries of the Australian FIRs from a GeoJSON feature collection
+ */
+function readFirBoundaries(collection) {
+  const firBoundaries = {};
+
+  collection.features.forEach(feature => {
+    const properties = feature.properties || {};
+    const code = (properties.id || properties.ICAO || '').toUpperCase();
+    if (!FIRS.includes(code) || !feature.geometry) return;
+
+    // The largest polygon is the FIR itself, the others are islands or enclaves
+    const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+    const outer = polygons.map(polygon => polygon[0]).sort((a, b) => b.length - a.length)[0];
+
+    firBoundaries[code] = outer.map(([longitude, latitude]) => ({ latitude: round(latitude), longitude: round(longitude) }));
+  });
+
+  const missing = FIRS.filter(code => !firBoundaries[code]);
+  if (missing.length > 0) {
+    throw new Error(`No boundary found for ${missing.join(', ')}`);
+  }
+
+  return firBoundaries;
+}
+
+function round(value) {
+  return Number(value.toFixed(PRECISION));
+}
+
+try {
+  buildReferenceGeometry(process.argv[2]);
+} catch (error) {
+  console.error(`Failed to build reference geometry: ${error.message}`);
+  process.exitCode = 1;
+}
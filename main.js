@@ -1,10 +1,18 @@
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
-const https = require('https');
-const http = require('http');
-const { parseDAHFile } = require('./src/js/parser');
-const { convertToVATGlasses } = require('./src/js/converter');
+const { existsSync, rmSync } = require('fs');
+const { OUTPUT_FORMATS, getOutputFormatForPath, writeOutput } = require('./src/js/formats');
+const { mergeVATGlasses, formatMergeReport } = require('./src/js/merge');
+const { compareDAH, formatCompareMarkdown, formatCompareHTML } = require('./src/js/compare');
+const { parseSchedule } = require('./src/js/schedule');
+const { writeDiagnostics } = require('./src/js/diagnostics');
+const { getEditionFileName } = require('./src/js/edition');
+const { downloadPDF, cleanupDownloads } = require('./src/js/downloader');
+const { startConversion } = require('./src/js/conversion');
+const { getEditionPath, findEditionByUrl, loadCatalogue, listEditions, addEdition, updateEditionMetadata, removeEdition, importCatalogue, exportCatalogue } = require('./src/js/library');
+const { DEFAULT_PROFILE_PATH, getDefaultProfile, loadProfile, parseProfile } = require('./src/js/profile');
+const { BUNDLED_REFERENCE_PATH, CACHE_FILE_NAME, loadReferenceGeometry } = require('./src/js/reference-geometry');
 
 // Enable hot reload in development
 if (process.env.NODE_ENV === 'development') {
@@ -20,6 +28,37 @@ if (process.env.NODE_ENV === 'development') {
 
 let mainWindow;
 
+// Download and conversion in progress, so the renderer can cancel them
+let activeDownload = null;
+let activeConversion = null;
+
+// FIR boundaries from earlier parses, kept for "along the FIR boundary" clauses
+function getReferenceCachePath() {
+  return path.join(app.getPath('userData'), CACHE_FILE_NAME);
+}
+
+// Downloads in progress; finished ones move into the library, anything left is removed when the app starts and quits
+function getDownloadDirectory() {
+  return path.join(app.getPath('temp'), 'dah-extractor-downloads');
+}
+
+// Downloaded DAH editions kept for converting again, with their catalogue
+function getLibraryDirectory() {
+  return path.join(app.getPath('userData'), 'library');
+}
+
+// Mapping profile edited in the settings screen, used instead of the bundled one
+function getProfilePath() {
+  return path.join(app.getPath('userData'), 'profile.json');
+}
+
+/**
+ * Load the user's mapping profile, or the bundled one if there is none
+ */
+function loadActiveProfile() {
+  return existsSync(getProfilePath()) ? loadProfile(getProfilePath()) : getDefaultProfile();
+}
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1200,
@@ -52,7 +91,20 @@ function createWindow() {
   });
 }
 
-app.whenReady().then(createWindow);
+app.whenReady().then(async () => {
+  await cleanupDownloads(getDownloadDirectory()).catch(() => {});
+  createWindow();
+});
+
+app.on('will-quit', () => {
+  if (activeDownload) {
+    activeDownload.abort();
+  }
+  if (activeConversion) {
+    activeConversion.cancel();
+  }
+  rmSync(getDownloadDirectory(), { recursive: true, force: true });
+});
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
@@ -82,86 +134,407 @@ ipcMain.handle('select-dah-file', async () => {
   return null;
 });
 
-// Handle file conversion
+/**
+ * Start parsing a DAH file in a worker thread, converting it too if given a profile
+ */
+function startFileConversion(filePath, profile, onProgress) {
+  return startConversion({
+    filePath,
+    referencePaths: [BUNDLED_REFERENCE_PATH, getReferenceCachePath()],
+    referenceCachePath: getReferenceCachePath(),
+    profile
+  }, onProgress);
+}
+
+/**
+ * Parse a DAH file without converting it
+ */
+async function parseFile(filePath) {
+  const { parsed } = await startFileConversion(filePath).promise;
+  return parsed;
+}
+
+// Handle file conversion, reporting progress as it goes
 ipcMain.handle('convert-dah-file', async (event, filePath) => {
+  if (activeConversion) {
+    activeConversion.cancel();
+  }
+
+  let conversion = null;
   try {
-    // Read the file as buffer (for PDF support)
-    const fileContent = await fs.readFile(filePath);
+    // Inside the try, so an unreadable profile comes back as an error like any other
+    const profile = loadActiveProfile();
+    conversion = startFileConversion(filePath, profile, (progress) => {
+      if (mainWindow) {
+        mainWindow.webContents.send('conversion-progress', progress);
+      }
+    });
+    activeConversion = conversion;
 
-    // Parse the DAH file (now async)
-    const parsedData = await parseDAHFile(fileContent);
+    const { parsed, data, issues } = await conversion.promise;
 
-    // Convert to VATGlasses format
-    const vatglassesData = convertToVATGlasses(parsedData);
+    // Library editions are catalogued by the effective date read from them;
+    // the conversion still stands if that fails
+    let libraryError = null;
+    try {
+      await updateEditionMetadata(getLibraryDirectory(), filePath, parsed.metadata);
+    } catch (error) {
+      libraryError = error.message;
+    }
 
     return {
       success: true,
-      data: vatglassesData
+      data,
+      parsed,
+      warnings: parsed.warnings,
+      issues,
+      libraryError,
+      profile
     };
   } catch (error) {
     return {
       success: false,
       error: error.message
     };
+  } finally {
+    if (conversion && activeConversion === conversion) {
+      activeConversion = null;
+    }
   }
 });
 
-// Handle PDF download from URL
-ipcMain.handle('download-pdf', async (event, url) => {
-  return new Promise((resolve, reject) => {
-    const protocol = url.startsWith('https') ? https : http;
-    const tempPath = path.join(app.getPath('temp'), `dah-download-${Date.now()}.pdf`);
-    const file = require('fs').createWriteStream(tempPath);
-
-    const request = protocol.get(url, (response) => {
-      // Handle redirects
-      if (response.statusCode === 301 || response.statusCode === 302) {
-        file.close();
-        require('fs').unlinkSync(tempPath);
-        return resolve(ipcMain.handle('download-pdf', event, response.headers.location));
-      }
+// Handle cancelling the conversion in progress
+ipcMain.handle('cancel-conversion', async () => {
+  if (activeConversion) {
+    activeConversion.cancel();
+  }
+  return { success: true };
+});
 
-      if (response.statusCode !== 200) {
-        file.close();
-        require('fs').unlinkSync(tempPath);
-        return reject(new Error(`Failed to download: HTTP ${response.statusCode}`));
-      }
+// Handle re-reading hours of activation edited in the review table
+ipcMain.handle('parse-schedule', async (event, text) => parseSchedule(text));
+
+// Handle loading the coastline for the map preview
+ipcMain.handle('get-reference-geometry', async () => {
+  try {
+    const { coastline } = loadReferenceGeometry([BUNDLED_REFERENCE_PATH, getReferenceCachePath()]);
+    return { success: true, coastline };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
 
-      const totalBytes = parseInt(response.headers['content-length'], 10);
-      let downloadedBytes = 0;
+// Handle comparing two DAH editions
+ipcMain.handle('compare-dah-files', async () => {
+  const selectFile = async (title) => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title,
+      properties: ['openFile'],
+      filters: [
+        { name: 'DAH Files', extensions: ['pdf', 'txt', 'dat', 'dah'] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+    return !result.canceled && result.filePaths.length > 0 ? result.filePaths[0] : null;
+  };
 
-      response.on('data', (chunk) => {
-        downloadedBytes += chunk.length;
-        const progress = totalBytes ? Math.round((downloadedBytes / totalBytes) * 100) : 0;
-        mainWindow.webContents.send('download-progress', progress);
-      });
+  const oldPath = await selectFile('Select previous DAH edition');
+  if (!oldPath) return { success: false, error: 'Compare cancelled' };
+
+  const newPath = await selectFile('Select new DAH edition');
+  if (!newPath) return { success: false, error: 'Compare cancelled' };
+
+  try {
+    const report = compareDAH(await parseFile(oldPath), await parseFile(newPath));
+    return {
+      success: true,
+      report,
+      markdown: formatCompareMarkdown(report),
+      html: formatCompareHTML(report)
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Handle saving a change report as Markdown or HTML
+ipcMain.handle('save-compare-report', async (event, content, format) => {
+  const extension = format === 'html' ? 'html' : 'md';
+  const result = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: `dah-changes.${extension}`,
+    filters: [
+      format === 'html'
+        ? { name: 'HTML Files', extensions: ['html'] }
+        : { name: 'Markdown Files', extensions: ['md'] }
+    ]
+  });
 
-      response.pipe(file);
+  if (!result.canceled && result.filePath) {
+    try {
+      await fs.writeFile(result.filePath, content, 'utf-8');
+      return { success: true, path: result.filePath };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  return { success: false, error: 'Save cancelled' };
+});
+
+// Handle PDF download from URL, using the library's copy if the URL has been downloaded before
+ipcMain.handle('download-pdf', async (event, url) => {
+  if (activeDownload) {
+    activeDownload.abort();
+  }
+  const controller = new AbortController();
+  activeDownload = controller;
+
+  try {
+    const known = findEditionByUrl(await loadCatalogue(getLibraryDirectory()), url);
+    const libraryCopy = known && existsSync(getEditionPath(getLibraryDirectory(), known))
+      ? { success: true, cached: true, filePath: getEditionPath(getLibraryDirectory(), known), url, size: known.size, sha256: known.sha256 }
+      : null;
 
-      file.on('finish', () => {
-        file.close();
-        resolve({ success: true, filePath: tempPath });
+    // A library copy is checked against the server, which only sends the file again if it changed
+    let result;
+    try {
+      result = await downloadPDF(url, {
+        directory: getDownloadDirectory(),
+        signal: controller.signal,
+        etag: libraryCopy ? known.etag : null,
+        lastModified: libraryCopy ? known.lastModified : null,
+        onProgress: (progress) => {
+          if (mainWindow) {
+            mainWindow.webContents.send('download-progress', progress);
+          }
+        }
       });
+    } catch (error) {
+      if (!libraryCopy || error.cancelled) throw error;
+      return { ...libraryCopy, warning: `Could not check the link for a newer file (${error.message}), so the library copy was used` };
+    }
+
+    if (result.notModified) {
+      return libraryCopy;
+    }
+
+    const edition = await addEdition(getLibraryDirectory(), result, url);
+    return { success: true, cached: false, ...result, filePath: edition.filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  } finally {
+    if (activeDownload === controller) {
+      activeDownload = null;
+    }
+  }
+});
+
+// Handle cancelling the download in progress
+ipcMain.handle('cancel-download', async () => {
+  if (activeDownload) {
+    activeDownload.abort();
+  }
+  return { success: true };
+});
+
+// Handle saving converted file, in whichever output format the chosen extension names
+ipcMain.handle('save-json-file', async (event, jsonData, parsedData) => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: getEditionFileName('vatglasses', (parsedData || jsonData || {}).metadata, 'json'),
+    filters: Object.values(OUTPUT_FORMATS).map(format => ({
+      name: format.name,
+      extensions: [format.extension]
+    }))
+  });
 
-      file.on('error', (err) => {
-        file.close();
-        require('fs').unlinkSync(tempPath);
-        reject(err);
+  if (!result.canceled && result.filePath) {
+    try {
+      // A name without an extension is saved as VATGlasses JSON; any other extension must name a format
+      let format = getOutputFormatForPath(result.filePath);
+      if (!format) {
+        if (path.extname(result.filePath)) {
+          throw new Error(`${path.basename(result.filePath)} does not end in an output format's extension ` +
+            `(${Object.values(OUTPUT_FORMATS).map(candidate => `.${candidate.extension}`).join(', ')})`);
+        }
+        format = { id: 'vatglasses', ...OUTPUT_FORMATS.vatglasses };
+      }
+      if (format.id !== 'vatglasses' && !parsedData) {
+        throw new Error(`${format.name} export needs the parsed DAH data`);
+      }
+
+      const written = await writeOutput(format, result.filePath, parsedData, {
+        vatglassesData: jsonData,
+        profile: loadActiveProfile()
       });
-    });
+      if (parsedData) {
+        written.push(await writeDiagnostics(result.filePath, parsedData));
+      }
+      return { success: true, path: written.join('\n') };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  return { success: false, error: 'Save cancelled' };
+});
 
-    request.on('error', (err) => {
-      file.close();
-      require('fs').unlinkSync(tempPath);
-      reject(err);
+// Handle merging converted airspace into an existing VATGlasses file
+ipcMain.handle('merge-json-file', async (event, jsonData) => {
+  const openResult = await dialog.showOpenDialog(mainWindow, {
+    title: 'Select existing VATGlasses file',
+    properties: ['openFile'],
+    filters: [
+      { name: 'JSON Files', extensions: ['json'] }
+    ]
+  });
+
+  if (openResult.canceled || openResult.filePaths.length === 0) {
+    return { success: false, error: 'Merge cancelled' };
+  }
+
+  try {
+    const existingPath = openResult.filePaths[0];
+    const existing = JSON.parse(await fs.readFile(existingPath, 'utf-8'));
+    const { data, report } = mergeVATGlasses(existing, jsonData);
+
+    const saveResult = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: existingPath,
+      filters: [
+        { name: 'JSON Files', extensions: ['json'] }
+      ]
     });
+
+    if (saveResult.canceled || !saveResult.filePath) {
+      return { success: false, error: 'Merge cancelled' };
+    }
+
+    await fs.writeFile(saveResult.filePath, JSON.stringify(data, null, 2), 'utf-8');
+    return { success: true, path: saveResult.filePath, report, summary: formatMergeReport(report) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Handle listing the DAH library for the library screen
+ipcMain.handle('get-library', async () => {
+  try {
+    return { success: true, editions: await listEditions(getLibraryDirectory()) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Handle removing an edition from the DAH library
+ipcMain.handle('remove-library-edition', async (event, sha256) => {
+  try {
+    await removeEdition(getLibraryDirectory(), sha256);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Handle merging a shared catalogue into the DAH library
+ipcMain.handle('import-library', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Select DAH library catalogue',
+    properties: ['openFile'],
+    filters: [
+      { name: 'JSON Files', extensions: ['json'] }
+    ]
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return { success: false, error: 'Import cancelled' };
+  }
+
+  try {
+    const text = await fs.readFile(result.filePaths[0], 'utf-8');
+    const counts = await importCatalogue(getLibraryDirectory(), text);
+    return { success: true, ...counts };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Handle saving the DAH library catalogue to share
+ipcMain.handle('export-library', async () => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: 'dah-library.json',
+    filters: [
+      { name: 'JSON Files', extensions: ['json'] }
+    ]
   });
+
+  if (!result.canceled && result.filePath) {
+    try {
+      await fs.writeFile(result.filePath, await exportCatalogue(getLibraryDirectory()), 'utf-8');
+      return { success: true, path: result.filePath };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  return { success: false, error: 'Export cancelled' };
 });
 
-// Handle saving converted file
-ipcMain.handle('save-json-file', async (event, jsonData) => {
+// Handle reading the mapping profile for the settings screen
+ipcMain.handle('get-profile', async () => {
+  try {
+    const custom = existsSync(getProfilePath());
+    const text = await fs.readFile(custom ? getProfilePath() : DEFAULT_PROFILE_PATH, 'utf-8');
+    return { success: true, text, custom };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Handle saving an edited mapping profile
+ipcMain.handle('save-profile', async (event, text) => {
+  try {
+    parseProfile(text);
+    await fs.mkdir(path.dirname(getProfilePath()), { recursive: true });
+    await fs.writeFile(getProfilePath(), text, 'utf-8');
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Handle going back to the bundled mapping profile
+ipcMain.handle('reset-profile', async () => {
+  try {
+    await fs.rm(getProfilePath(), { force: true });
+    return { success: true, text: await fs.readFile(DEFAULT_PROFILE_PATH, 'utf-8') };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Handle loading a mapping profile from a file into the editor
+ipcMain.handle('import-profile', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Select mapping profile',
+    properties: ['openFile'],
+    filters: [
+      { name: 'JSON Files', extensions: ['json'] }
+    ]
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return { success: false, error: 'Import cancelled' };
+  }
+
+  try {
+    const text = await fs.readFile(result.filePaths[0], 'utf-8');
+    parseProfile(text);
+    return { success: true, text };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Handle saving the mapping profile in the editor to a file
+ipcMain.handle('export-profile', async (event, text) => {
   const result = await dialog.showSaveDialog(mainWindow, {
-    defaultPath: 'vatglasses-output.json',
+    defaultPath: 'dah-profile.json',
     filters: [
       { name: 'JSON Files', extensions: ['json'] }
     ]
@@ -169,11 +542,11 @@ ipcMain.handle('save-json-file', async (event, jsonData) => {
 
   if (!result.canceled && result.filePath) {
     try {
-      await fs.writeFile(result.filePath, JSON.stringify(jsonData, null, 2), 'utf-8');
+      await fs.writeFile(result.filePath, text, 'utf-8');
       return { success: true, path: result.filePath };
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
-  return { success: false, error: 'Save cancelled' };
+  return { success: false, error: 'Export cancelled' };
 });
@@ -12,17 +12,52 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // File selection
   selectDAHFile: () => ipcRenderer.invoke('select-dah-file'),
 
-  // File conversion
+  // File conversion, run in a worker thread
   convertDAHFile: (filePath) => ipcRenderer.invoke('convert-dah-file', filePath),
+  cancelConversion: () => ipcRenderer.invoke('cancel-conversion'),
+
+  // Listen for conversion progress, as {stage, current, total}
+  onConversionProgress: (callback) => {
+    ipcRenderer.on('conversion-progress', (event, progress) => callback(progress));
+  },
+
+  // Parse hours of activation edited in the review table
+  parseSchedule: (text) => ipcRenderer.invoke('parse-schedule', text),
+
+  // Coastline for the map preview
+  getReferenceGeometry: () => ipcRenderer.invoke('get-reference-geometry'),
+
+  // Compare two DAH editions
+  compareDAHFiles: () => ipcRenderer.invoke('compare-dah-files'),
+
+  // Save a change report as Markdown or HTML
+  saveCompareReport: (content, format) => ipcRenderer.invoke('save-compare-report', content, format),
 
   // PDF download
   downloadPDF: (url) => ipcRenderer.invoke('download-pdf', url),
+  cancelDownload: () => ipcRenderer.invoke('cancel-download'),
 
-  // Listen for download progress
+  // Listen for download progress, as {receivedBytes, totalBytes, percent, attempt}
   onDownloadProgress: (callback) => {
     ipcRenderer.on('download-progress', (event, progress) => callback(progress));
   },
 
-  // Save JSON file
-  saveJSONFile: (jsonData) => ipcRenderer.invoke('save-json-file', jsonData)
+  // Library of downloaded DAH editions
+  getLibrary: () => ipcRenderer.invoke('get-library'),
+  removeLibraryEdition: (sha256) => ipcRenderer.invoke('remove-library-edition', sha256),
+  importLibrary: () => ipcRenderer.invoke('import-library'),
+  exportLibrary: () => ipcRenderer.invoke('export-library'),
+
+  // Save converted file (VATGlasses JSON, or another format chosen in the dialog)
+  saveJSONFile: (jsonData, parsedData) => ipcRenderer.invoke('save-json-file', jsonData, parsedData),
+
+  // Merge into an existing VATGlasses file
+  mergeJSONFile: (jsonData) => ipcRenderer.invoke('merge-json-file', jsonData),
+
+  // Mapping profile for groups and positions
+  getProfile: () => ipcRenderer.invoke('get-profile'),
+  saveProfile: (text) => ipcRenderer.invoke('save-profile', text),
+  resetProfile: () => ipcRenderer.invoke('reset-profile'),
+  importProfile: () => ipcRenderer.invoke('import-profile'),
+  exportProfile: (text) => ipcRenderer.invoke('export-profile', text)
 });
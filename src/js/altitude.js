@@ -0,0 +1,131 @@
+/**
+ * Altitude Model
+ * Parses DAH vertical limits into structured values and converts them
+ * to VATGlasses flight-level numbers
+ */
+
+// Australian transition altitude in feet
+const TRANSITION_ALTITUDE_FT = 10000;
+
+// A single vertical limit as written in the DAH, e.g. "SFC", "FL245", "4500FT AMSL", "1500 AGL"
+const ALTITUDE_SOURCE = String.raw`(?:SFC|GND|UNL(?:IMITED)?|F\s*L?\s*\d+|\d+\s*(?:FT|FEET|')?(?:\s*(?:AMSL|MSL|AGL|SFC))?)`;
+
+/**
+ * Parse an altitude string into a structured value
+ * @param {string} altStr - Altitude as written, e.g. "4500FT AMSL"
+ * @returns {Object|null} {raw, value, unit, datum} where unit is FT or FL and
+ *   datum is AMSL, AGL, SFC, FL or UNL; null if the text is not an altitude
+ */
+function parseAltitude(altStr) {
+  if (!altStr) return null;
+
+  const raw = altStr.toString().trim();
+  const str = raw.toUpperCase();
+
+  // Handle unlimited
+  if (/^UNL(IMITED)?$/.test(str)) {
+    return { raw, value: null, unit: null, datum: 'UNL' };
+  }
+
+  // Handle ground level
+  if (/^(GND|GROUND|SFC|SURFACE)$/.test(str)) {
+    return { raw, value: 0, unit: 'FT', datum: 'SFC' };
+  }
+
+  // Parse flight level (e.g., "FL350", "F350")
+  const flMatch = str.match(/^F\s*L?\s*(\d+)$/);
+  if (flMatch) {
+    return { raw, value: parseInt(flMatch[1], 10), unit: 'FL', datum: 'FL' };
+  }
+
+  // Parse feet with an optional datum (e.g., "4500", "4500FT AMSL", "1500 AGL")
+  const ftMatch = str.match(/^(\d+)\s*(?:FT|FEET|')?(?:\s*(AMSL|MSL|AGL|SFC))?$/);
+  if (ftMatch) {
+    const datum = ftMatch[2] === 'AGL' || ftMatch[2] === 'SFC' ? 'AGL' : 'AMSL';
+    return { raw, value: parseInt(ftMatch[1], 10), unit: 'FT', datum };
+  }
+
+  return null;
+}
+
+/**
+ * Convert an altitude to a VATGlasses flight-level number (hundreds of feet)
+ * @param {Object|string} altitude - Structured altitude or altitude string
+ * @param {number} [transitionAltitude] - Transition altitude in feet
+ * @returns {Object} {level, exact, note}; level is null for the surface or
+ *   unreadable values, and exact is false when the conversion is approximate
+ */
+function toFlightLevel(altitude, transitionAltitude = TRANSITION_ALTITUDE_FT) {
+  const alt = typeof altitude === 'string' ? parseAltitude(altitude) : altitude;
+
+  if (!alt) {
+    return { level: null, exact: false, note: 'unreadable altitude' };
+  }
+
+  switch (alt.datum) {
+    case 'UNL':
+      return { level: 999, exact: true };
+
+    case 'SFC':
+      return { level: null, exact: true };
+
+    case 'FL':
+      if (alt.value * 100 < transitionAltitude) {
+        return { level: alt.value, exact: false, note: `FL${alt.value} is below the ${transitionAltitude}FT transition altitude` };
+      }
+      return { level: alt.value, exact: true };
+
+    case 'AGL':
+      return { level: Math.round(alt.value / 100), exact: false, note: `${alt.raw} is above ground level, converted as AMSL` };
+
+    default: {
+      const level = Math.round(alt.value / 100);
+
+      if (alt.value > transitionAltitude) {
+        return { level, exact: false, note: `${alt.raw} is above the ${transitionAltitude}FT transition altitude, converted as FL${level}` };
+      }
+      if (alt.value % 100 !== 0) {
+        return { level, exact: false, note: `${alt.raw} rounded to ${level * 100}FT` };
+      }
+      return { level, exact: true };
+    }
+  }
+}
+
+/**
+ * Convert an altitude to feet, for formats that take limits in feet
+ * @param {Object|string} altitude - Structured altitude or altitude string
+ * @param {number} fallback - Feet to use for the surface, unlimited or unreadable values
+ * @returns {number} Feet as written for FT limits (not rounded), flight levels times 100
+ */
+function toFeet(altitude, fallback) {
+  const alt = typeof altitude === 'string' ? parseAltitude(altitude) : altitude;
+
+  if (!alt || alt.value === null || alt.datum === 'SFC') {
+    return fallback;
+  }
+  return alt.unit === 'FL' ? alt.value * 100 : alt.value;
+}
+
+/**
+ * Format a structured altitude for display
+ */
+function formatAltitude(altitude) {
+  if (!altitude) return '';
+
+  switch (altitude.datum) {
+    case 'UNL': return 'UNL';
+    case 'SFC': return 'SFC';
+    case 'FL': return `FL${altitude.value}`;
+    default: return `${altitude.value}FT ${altitude.datum}`;
+  }
+}
+
+module.exports = {
+  TRANSITION_ALTITUDE_FT,
+  ALTITUDE_SOURCE,
+  parseAltitude,
+  toFlightLevel,
+  toFeet,
+  formatAltitude
+};
@@ -0,0 +1,73 @@
+/**
+ * Airspace Classification
+ * Works out the type, class and designator of a DAH airspace from its title
+ */
+
+// Airspace types that are not controlled sectors and so have no ATC owner
+const PRD_TYPES = ['RESTRICTED', 'PROHIBITED', 'DANGER'];
+
+// PRD designators, e.g. "R264A", "D530", "P101"
+const PRD_PATTERN = /\b([RPD])(\d{3}[A-Z]?)\b/;
+
+const PRD_TYPE_BY_LETTER = {
+  R: 'RESTRICTED',
+  P: 'PROHIBITED',
+  D: 'DANGER'
+};
+
+/**
+ * Classify an airspace from its title
+ * @param {string} title - Title line as written in the DAH
+ * @returns {Object} {type, class, designator}; class and designator may be null
+ */
+function classifyAirspace(title) {
+  const text = (title || '').toUpperCase();
+  const classMatch = text.match(/\bCLASS\s+([A-G])\b/);
+  const airspaceClass = classMatch ? classMatch[1] : null;
+
+  const prdMatch = text.match(PRD_PATTERN);
+  if (prdMatch) {
+    return {
+      type: PRD_TYPE_BY_LETTER[prdMatch[1]],
+      class: airspaceClass,
+      designator: `${prdMatch[1]}${prdMatch[2]}`
+    };
+  }
+
+  let type = 'OTHER';
+  if (/\bMIL(?:ITARY)?\s+(?:CTR|CONTROL\s+ZONE)\b|\bMCTR\b/.test(text)) {
+    type = 'MILITARY_CTR';
+  } else if (/\bCTR\b|\bCONTROL\s+ZONE\b/.test(text)) {
+    type = 'CTR';
+  } else if (/\bCTA\b|\bCONTROL\s+AREA\b/.test(text)) {
+    type = 'CTA';
+  } else if (/\bTMA\b/.test(text)) {
+    type = 'TMA';
+  } else if (/\bOCA\b/.test(text)) {
+    type = 'OCA';
+  } else if (/\bFIR\b/.test(text)) {
+    type = 'FIR';
+  }
+
+  // Sector designators follow the type, e.g. "CTA A1", "CTR C2"
+  const designatorMatch = text.match(/\b(?:CTA|CTR|TMA|OCA)\s+([A-Z]?\d+[A-Z]?)\s*$/);
+
+  return {
+    type,
+    class: airspaceClass,
+    designator: designatorMatch ? designatorMatch[1] : null
+  };
+}
+
+/**
+ * Check whether an airspace type is a restricted, prohibited or danger area
+ */
+function isPRDType(type) {
+  return PRD_TYPES.includes(type);
+}
+
+module.exports = {
+  PRD_TYPES,
+  classifyAirspace,
+  isPRDType
+};
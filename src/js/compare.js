@@ -0,0 +1,299 @@
+/**
+ * DAH Edition Comparison
+ * Lists what changed between two parsed DAH editions, for AIRAC release notes
+ */
+
+const { distanceNm } = require('./geo');
+const { formatAltitude } = require('./altitude');
+const { getVolumes } = require('./parser');
+const { isPRDType } = require('./classification');
+
+// Boundary points closer than this to a point in the other edition are unchanged
+const DEFAULT_TOLERANCE_NM = 0.01;
+
+const DUPLICATES_HEADING = 'Not compared: more than one airspace with the same key';
+
+/**
+ * Compare two parsed DAH editions
+ * @param {Object} oldData - Parsed data of the previous edition
+ * @param {Object} newData - Parsed data of the new edition
+ * @param {number} [toleranceNm] - Distance below which a point counts as unmoved
+ * @returns {Object} Report with added, removed and changed airspaces, and the
+ *   keys more than one airspace of an edition shares (duplicates), which are not compared
+ */
+function compareDAH(oldData, newData, toleranceNm = DEFAULT_TOLERANCE_NM) {
+  const oldIndex = indexAirspaces(oldData.airspaces || []);
+  const newIndex = indexAirspaces(newData.airspaces || []);
+
+  // Which of several airspaces with one key matches which cannot be told, so they are only listed
+  const duplicates = new Set([...oldIndex.duplicates, ...newIndex.duplicates]);
+  const oldByKey = new Map([...oldIndex.byKey].filter(([key]) => !duplicates.has(key)));
+  const newByKey = new Map([...newIndex.byKey].filter(([key]) => !duplicates.has(key)));
+
+  const report = {
+    oldMetadata: oldData.metadata || {},
+    newMetadata: newData.metadata || {},
+    added: [],
+    removed: [],
+    changed: [],
+    duplicates: [...duplicates].sort(),
+    unchangedCount: 0
+  };
+
+  newByKey.forEach((airspace, key) => {
+    if (!oldByKey.has(key)) {
+      report.added.push({ key, name: airspace.name });
+    }
+  });
+
+  oldByKey.forEach((oldAirspace, key) => {
+    const newAirspace = newByKey.get(key);
+    if (!newAirspace) {
+      report.removed.push({ key, name: oldAirspace.name });
+      return;
+    }
+
+    const changes = compareAirspace(oldAirspace, newAirspace, toleranceNm);
+    if (changes) {
+      report.changed.push({ key, name: newAirspace.name, ...changes });
+    } else {
+      report.unchangedCount++;
+    }
+  });
+
+  return report;
+}
+
+/**
+ * Index airspaces by designator for PRD areas and by id otherwise. PRD
+ * designators (e.g. R264A) are unique across Australia, but other designators
+ * (e.g. C1) are reused at each location, so those are matched by id, which is
+ * the location with the name and designator (e.g. "YSSY/SYDNEY C1").
+ * @returns {Object} {byKey, duplicates} with the keys used more than once
+ */
+function indexAirspaces(airspaces) {
+  const byKey = new Map();
+  const duplicates = new Set();
+
+  airspaces.forEach(airspace => {
+    const key = isPRDType(airspace.type) && airspace.designator ? airspace.designator : airspace.id;
+    if (byKey.has(key)) duplicates.add(key);
+    byKey.set(key, airspace);
+  });
+
+  return { byKey, duplicates };
+}
+
+/**
+ * Compare one airspace across editions, or return null if nothing changed
+ */
+function compareAirspace(oldAirspace, newAirspace, toleranceNm) {
+  const changes = {
+    volumes: [],
+    hours: null,
+    authority: null
+  };
+
+  const oldVolumes = getVolumes(oldAirspace);
+  const newVolumes = getVolumes(newAirspace);
+  const volumeKey = (volume, airspace) => (volume === airspace ? '' : volume.designator);
+
+  newVolumes.forEach(newVolume => {
+    const key = volumeKey(newVolume, newAirspace);
+    const oldVolume = oldVolumes.find(volume => volumeKey(volume, oldAirspace) === key);
+
+    if (!oldVolume) {
+      changes.volumes.push({ volume: key, added: true });
+      return;
+    }
+
+    const volumeChanges = { volume: key, movedPoints: [], limits: [] };
+
+    volumeChanges.movedPoints = findMovedPoints(oldVolume.boundaries, newVolume.boundaries, toleranceNm);
+    if (oldVolume.boundaries.length !== newVolume.boundaries.length) {
+      volumeChanges.pointCount = { old: oldVolume.boundaries.length, new: newVolume.boundaries.length };
+    }
+
+    ['lowerLimit', 'upperLimit'].forEach(field => {
+      const oldValue = formatAltitude(oldVolume[field]);
+      const newValue = formatAltitude(newVolume[field]);
+      if (oldValue !== newValue) {
+        volumeChanges.limits.push({ field, old: oldValue, new: newValue });
+      }
+    });
+
+    if (volumeChanges.movedPoints.length > 0 || volumeChanges.pointCount || volumeChanges.limits.length > 0) {
+      changes.volumes.push(volumeChanges);
+    }
+  });
+
+  oldVolumes.forEach(oldVolume => {
+    const key = volumeKey(oldVolume, oldAirspace);
+    if (!newVolumes.some(volume => volumeKey(volume, newAirspace) === key)) {
+      changes.volumes.push({ volume: key, removed: true });
+    }
+  });
+
+  if ((oldAirspace.hoursOfOperation || '') !== (newAirspace.hoursOfOperation || '')) {
+    changes.hours = { old: oldAirspace.hoursOfOperation, new: newAirspace.hoursOfOperation };
+  }
+
+  if ((oldAirspace.controllingAuthority || '') !== (newAirspace.controllingAuthority || '')) {
+    changes.authority = { old: oldAirspace.controllingAuthority, new: newAirspace.controllingAuthority };
+  }
+
+  return changes.volumes.length > 0 || changes.hours || changes.authority ? changes : null;
+}
+
+/**
+ * List new boundary points that are not within tolerance of any old point,
+ * with the distance to the nearest old point
+ */
+function findMovedPoints(oldPoints, newPoints, toleranceNm) {
+  const moved = [];
+
+  newPoints.forEach((point, index) => {
+    let nearest = Infinity;
+    oldPoints.forEach(oldPoint => {
+      nearest = Math.min(nearest, distanceNm(oldPoint, point));
+    });
+
+    if (nearest > toleranceNm && Number.isFinite(nearest)) {
+      moved.push({ index, latitude: point.latitude, longitude: point.longitude, distanceNm: nearest });
+    }
+  });
+
+  return moved;
+}
+
+/**
+ * Describe the changes to one volume as lines of text
+ */
+function describeVolume(volume) {
+  const prefix = volume.volume ? `Volume ${volume.volume}: ` : '';
+
+  if (volume.added) return [`Volume ${volume.volume} added`];
+  if (volume.removed) return [`Volume ${volume.volume} removed`];
+
+  const lines = [];
+  volume.limits.forEach(limit => {
+    lines.push(`${prefix}${limit.field === 'lowerLimit' ? 'Floor' : 'Ceiling'} ${limit.old} → ${limit.new}`);
+  });
+  if (volume.pointCount) {
+    lines.push(`${prefix}${volume.pointCount.old} → ${volume.pointCount.new} boundary points`);
+  }
+  volume.movedPoints.forEach(point => {
+    lines.push(
+      `${prefix}Point ${point.index + 1} (${point.latitude.toFixed(5)}, ${point.longitude.toFixed(5)}) moved ${point.distanceNm.toFixed(2)}NM`
+    );
+  });
+  return lines;
+}
+
+/**
+ * Describe every change to an airspace as lines of text
+ */
+function describeChange(change) {
+  const lines = change.volumes.flatMap(describeVolume);
+
+  if (change.hours) {
+    lines.push(`Hours: "${change.hours.old || 'none'}" → "${change.hours.new || 'none'}"`);
+  }
+  if (change.authority) {
+    lines.push(`Controlling authority: "${change.authority.old || 'none'}" → "${change.authority.new || 'none'}"`);
+  }
+  return lines;
+}
+
+/**
+ * Name an edition by its AIRAC cycle, or by when it was parsed if the cycle is not known
+ */
+function describeEdition(metadata) {
+  if (metadata.airac) {
+    return `AIRAC ${metadata.airac}${metadata.effectiveDate ? ` (effective ${metadata.effectiveDate})` : ''}`;
+  }
+  return `parsed ${metadata.parseDate || 'unknown'}`;
+}
+
+/**
+ * Format a comparison report as Markdown
+ */
+function formatCompareMarkdown(report) {
+  const lines = [
+    '# DAH Change Report',
+    '',
+    `Previous edition ${describeEdition(report.oldMetadata)}, new edition ${describeEdition(report.newMetadata)}.`,
+    '',
+    `${report.added.length} added, ${report.removed.length} removed, ${report.changed.length} changed, ${report.unchangedCount} unchanged.`,
+    ''
+  ];
+
+  lines.push(`## Added (${report.added.length})`, '');
+  report.added.forEach(airspace => lines.push(`- ${airspace.name}`));
+
+  lines.push('', `## Removed (${report.removed.length})`, '');
+  report.removed.forEach(airspace => lines.push(`- ${airspace.name}`));
+
+  lines.push('', `## Changed (${report.changed.length})`);
+  report.changed.forEach(change => {
+    lines.push('', `### ${change.name}`, '');
+    describeChange(change).forEach(line => lines.push(`- ${line}`));
+  });
+
+  if (report.duplicates.length > 0) {
+    lines.push('', `## ${DUPLICATES_HEADING} (${report.duplicates.length})`, '');
+    report.duplicates.forEach(key => lines.push(`- ${key}`));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format a comparison report as a standalone HTML page
+ */
+function formatCompareHTML(report) {
+  const list = (items) => items.length > 0
+    ? `<ul>\n${items.map(item => `  <li>${escapeHtml(item)}</li>`).join('\n')}\n</ul>`
+    : '<p>None</p>';
+
+  const changed = report.changed.map(change =>
+    `<h3>${escapeHtml(change.name)}</h3>\n${list(describeChange(change))}`
+  ).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>DAH Change Report</title>
+</head>
+<body>
+<h1>DAH Change Report</h1>
+<p>Previous edition ${escapeHtml(describeEdition(report.oldMetadata))}, new edition ${escapeHtml(describeEdition(report.newMetadata))}.</p>
+<p>${report.added.length} added, ${report.removed.length} removed, ${report.changed.length} changed, ${report.unchangedCount} unchanged.</p>
+<h2>Added (${report.added.length})</h2>
+${list(report.added.map(airspace => airspace.name))}
+<h2>Removed (${report.removed.length})</h2>
+${list(report.removed.map(airspace => airspace.name))}
+<h2>Changed (${report.changed.length})</h2>
+${changed || '<p>None</p>'}
+${report.duplicates.length > 0 ? `<h2>${DUPLICATES_HEADING} (${report.duplicates.length})</h2>\n${list(report.duplicates)}\n` : ''}</body>
+</html>
+`;
+}
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  compareDAH,
+  formatCompareMarkdown,
+  formatCompareHTML
+};
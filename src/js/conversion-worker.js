@@ -0,0 +1,12 @@
+/**
+ * Conversion Worker
+ * Worker thread started by startConversion; runs convertFile on the task
+ * it is given and posts back progress and the result
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { convertFile } = require('./conversion');
+
+convertFile(workerData, progress => parentPort.postMessage({ type: 'progress', progress }))
+  .then(result => parentPort.postMessage({ type: 'result', result }))
+  .catch(error => parentPort.postMessage({ type: 'error', error: error.message }));
@@ -0,0 +1,95 @@
+/**
+ * DAH Conversion
+ * Reads, parses, validates and converts a DAH file, in a worker thread so
+ * a large DAH does not hold up the Electron main process
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { parseDAHFile } = require('./parser');
+const { convertToVATGlasses } = require('./converter');
+const { validateAirspaces } = require('./validation');
+const { loadReferenceGeometry, saveFirBoundaries } = require('./reference-geometry');
+
+const WORKER_PATH = path.join(__dirname, 'conversion-worker.js');
+
+/**
+ * Parse a DAH file and, given a profile, validate and convert it
+ * @param {Object} task - What to convert
+ * @param {string} task.filePath - DAH file
+ * @param {string[]} task.referencePaths - Reference geometry files, see loadReferenceGeometry
+ * @param {string} [task.referenceCachePath] - File to save FIR boundaries read from the DAH to
+ * @param {Object} [task.profile] - Mapping profile; without one the file is only parsed
+ * @param {Function} [onProgress] - Called with {stage, current, total}, stage being
+ *   'reading', 'pages', 'airspaces', 'validating' or 'converting'
+ * @returns {Promise<Object>} {parsed, data, issues}, data and issues only with a profile
+ */
+async function convertFile(task, onProgress = () => {}) {
+  onProgress({ stage: 'reading', current: 0, total: null });
+  const fileContent = await fs.readFile(task.filePath);
+
+  const referenceGeometry = loadReferenceGeometry(task.referencePaths);
+  const parsed = await parseDAHFile(fileContent, { referenceGeometry, onProgress });
+  if (task.referenceCachePath) {
+    saveFirBoundaries(referenceGeometry, task.referenceCachePath);
+  }
+
+  if (!task.profile) {
+    return { parsed };
+  }
+
+  const total = parsed.airspaces.length;
+
+  // Check the geometry before converting it
+  onProgress({ stage: 'validating', current: 0, total });
+  const issues = validateAirspaces(parsed.airspaces);
+
+  onProgress({ stage: 'converting', current: 0, total });
+  const data = convertToVATGlasses(parsed, task.profile);
+
+  return { parsed, data, issues };
+}
+
+/**
+ * Run convertFile in a worker thread
+ * @param {Object} task - See convertFile
+ * @param {Function} [onProgress] - See convertFile
+ * @returns {Object} {promise, cancel} where cancel stops the worker and
+ *   rejects the promise with a "Conversion cancelled" error
+ */
+function startConversion(task, onProgress) {
+  const worker = new Worker(WORKER_PATH, { workerData: task });
+  let cancel;
+
+  const promise = new Promise((resolve, reject) => {
+    let settled = false;
+    const finish = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      worker.terminate();
+      callback(value);
+    };
+
+    worker.on('message', message => {
+      if (message.type === 'progress') {
+        if (onProgress) onProgress(message.progress);
+      } else if (message.type === 'result') {
+        finish(resolve, message.result);
+      } else if (message.type === 'error') {
+        finish(reject, new Error(message.error));
+      }
+    });
+    worker.on('error', error => finish(reject, error));
+    worker.on('exit', code => finish(reject, new Error(`Conversion stopped unexpectedly (exit code ${code})`)));
+
+    cancel = () => finish(reject, new Error('Conversion cancelled'));
+  });
+
+  return { promise, cancel };
+}
+
+module.exports = {
+  convertFile,
+  startConversion
+};
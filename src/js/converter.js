@@ -4,6 +4,7 @@
  *
  * VATGlasses format structure:
  * {
+ *   "metadata": {...},
  *   "airspace": [...],
  *   "groups": {...},
  *   "positions": {...},
@@ -12,13 +13,29 @@
  * }
  */
 
+const { toFlightLevel } = require('./altitude');
+const { isPRDType } = require('./classification');
+const { getDefaultProfile, matchPosition, getLocation, getTypeGroup } = require('./profile');
+const { primaryFrequency } = require('./units');
+const { splitDMS } = require('./geo');
+
 /**
  * Convert parsed DAH data to VATGlasses JSON format
  * @param {Object} parsedData - Data parsed from DAH file
+ * @param {Object} [profile] - Mapping profile for groups and positions, defaults to the bundled one
  * @returns {Object} VATGlasses-compatible JSON object
  */
-function convertToVATGlasses(parsedData) {
+function convertToVATGlasses(parsedData, profile = getDefaultProfile()) {
+  const metadata = parsedData.metadata || {};
   const vatglassesData = {
+    metadata: {
+      source: metadata.source || null,
+      airac: metadata.airac || null,
+      effectiveDate: metadata.effectiveDate || null,
+      edition: metadata.edition || null,
+      amendment: metadata.amendment || null,
+      parseDate: metadata.parseDate || null
+    },
     airspace: [],
     groups: {},
     positions: {},
@@ -35,32 +52,37 @@ function convertToVATGlasses(parsedData) {
   // Convert airspaces
   if (parsedData.airspaces && parsedData.airspaces.length > 0) {
     parsedData.airspaces.forEach(airspace => {
-      const converted = convertAirspace(airspace);
+      const converted = convertAirspace(airspace, profile);
       if (converted) {
         vatglassesData.airspace.push(converted);
 
         // Add group if specified
-        if (airspace.locations && airspace.locations.length > 0) {
+        const typeGroup = getTypeGroup(profile, airspace.type);
+        if (typeGroup) {
+          if (!vatglassesData.groups[airspace.type]) {
+            vatglassesData.groups[airspace.type] = typeGroup;
+          }
+        } else if (airspace.locations && airspace.locations.length > 0) {
           airspace.locations.forEach(location => {
             if (!vatglassesData.groups[location]) {
-              vatglassesData.groups[location] = {
-                name: extractLocationName(location),
-                colour: "#ffffff"
-              };
+              const { name, colour } = getLocation(profile, location);
+              vatglassesData.groups[location] = { name, colour };
             }
           });
         }
 
-        // Add position if controlling authority exists
-        if (airspace.controllingAuthority && airspace.frequencies && airspace.frequencies.length > 0) {
-          const posId = extractPositionId(airspace.id, airspace.name);
-          if (posId && !vatglassesData.positions[posId]) {
-            vatglassesData.positions[posId] = {
-              colours: [{ hex: "#56de37" }],
-              pre: [determinePositionPrefix(airspace.locations, posId)],
-              type: "FSS",
-              frequency: airspace.frequencies[0].toFixed(3),
-              callsign: airspace.controllingAuthority
+        // Add position if the controlling unit and its frequency are known
+        const unit = airspace.controllingUnit;
+        if (!isPRDType(airspace.type) && (unit || airspace.controllingAuthority) && airspace.frequencies && airspace.frequencies.length > 0) {
+          const position = resolvePosition(profile, airspace);
+          if (position && !vatglassesData.positions[position.id]) {
+            const defaults = profile.defaults || {};
+            vatglassesData.positions[position.id] = {
+              colours: [{ hex: position.colour || defaults.positionColour || "#56de37" }],
+              pre: [determinePositionPrefix(profile, airspace.locations, position)],
+              type: position.type || defaults.positionType || "FSS",
+              frequency: primaryFrequency(airspace.frequencies).toFixed(3),
+              callsign: unit ? unit.callsign : airspace.controllingAuthority
             };
           }
         }
@@ -74,8 +96,11 @@ function convertToVATGlasses(parsedData) {
 /**
  * Convert a single airspace to VATGlasses format
  */
-function convertAirspace(airspace) {
-  if (!airspace.boundaries || airspace.boundaries.length === 0) {
+function convertAirspace(airspace, profile = getDefaultProfile()) {
+  const volumes = airspace.volumes || [];
+  const hasVolumeBoundaries = volumes.some(volume => volume.boundaries.length > 0);
+
+  if ((!airspace.boundaries || airspace.boundaries.length === 0) && !hasVolumeBoundaries) {
     return null;
   }
 
@@ -84,180 +109,159 @@ function convertAirspace(airspace) {
     owner: []
   };
 
-  // Add group (location)
-  if (airspace.locations && airspace.locations.length > 0) {
+  // Add group (airspace type for PRD and military areas, otherwise location),
+  // unless one was set in the review table
+  if (airspace.group) {
+    vatAirspace.group = airspace.group;
+  } else if (getTypeGroup(profile, airspace.type)) {
+    vatAirspace.group = airspace.type;
+  } else if (airspace.locations && airspace.locations.length > 0) {
     vatAirspace.group = airspace.locations[0];
   }
 
-  // Add owner (position controlling this airspace)
-  const posId = extractPositionId(airspace.id, airspace.name);
-  if (posId) {
-    vatAirspace.owner.push(posId);
+  // Add owner (position controlling this airspace); PRD areas are not ATC sectors.
+  // Owners set in the review table replace the profile's.
+  const position = isPRDType(airspace.type) ? null : resolvePosition(profile, airspace);
+  if (Array.isArray(airspace.owner)) {
+    vatAirspace.owner.push(...airspace.owner);
+  } else if (position) {
+    vatAirspace.owner.push(position.id);
+  }
+
+  const coordinateFormat = (profile.defaults || {}).coordinateFormat;
+
+  // Convert boundaries to sectors, one per lettered sub-volume if there are any.
+  // Sub-volumes without their own lateral or vertical limits use the airspace's.
+  if (volumes.length > 0) {
+    vatAirspace.sectors = volumes
+      .map(volume => buildSector(
+        volume.boundaries.length > 0 ? volume.boundaries : airspace.boundaries,
+        volume.lowerLimit || airspace.lowerLimit,
+        volume.upperLimit || airspace.upperLimit,
+        coordinateFormat
+      ))
+      .filter(sector => sector.points.length > 0);
+  } else {
+    vatAirspace.sectors = [buildSector(airspace.boundaries, airspace.lowerLimit, airspace.upperLimit, coordinateFormat)];
+  }
+
+  // Activation metadata so viewers can show the airspace only when active
+  if (airspace.schedule) {
+    vatAirspace.activation = airspace.schedule;
   }
 
-  // Convert boundaries to sectors
-  vatAirspace.sectors = [];
+  return vatAirspace;
+}
 
+/**
+ * Build a VATGlasses sector from boundary points and vertical limits
+ */
+function buildSector(boundaries, lowerLimit, upperLimit, coordinateFormat) {
   const sector = {
-    points: airspace.boundaries.map(boundary =>
-      formatCoordinate(boundary.latitude, boundary.longitude)
+    points: boundaries.map(boundary =>
+      formatCoordinate(boundary.latitude, boundary.longitude, coordinateFormat)
     )
   };
 
-  // Add altitude limits
-  if (airspace.upperLimit && airspace.upperLimit !== 'UNL') {
-    const ceiling = parseAltitude(airspace.upperLimit);
-    if (ceiling !== null) {
-      sector.max = ceiling;
-    }
+  // Add altitude limits, leaving out unlimited ceilings and surface floors
+  const ceiling = toFlightLevel(upperLimit).level;
+  if (ceiling !== null && ceiling !== 999) {
+    sector.max = ceiling;
   }
 
-  if (airspace.lowerLimit && airspace.lowerLimit !== 'GND' && airspace.lowerLimit !== 'SFC') {
-    const floor = parseAltitude(airspace.lowerLimit);
-    if (floor !== null) {
-      sector.min = floor;
-    }
+  const floor = toFlightLevel(lowerLimit).level;
+  if (floor !== null) {
+    sector.min = floor;
   }
 
-  vatAirspace.sectors.push(sector);
-
-  return vatAirspace;
+  return sector;
 }
 
 /**
- * Format coordinate to VATGlasses format (DDMMSS without decimal point)
+ * Format a point for VATGlasses
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {string} [format] - "dms" for DDMMSS (default), "dms-decimal" for
+ *   DDMMSS.S with the tenths of a second the DAH gives, or "decimal" for decimal degrees
+ * @returns {string[]} [latitude, longitude]
  */
-function formatCoordinate(lat, lon) {
-  const formatDMS = (decimal, isLat) => {
-    const absolute = Math.abs(decimal);
-    const degrees = Math.floor(absolute);
-    const minutesDecimal = (absolute - degrees) * 60;
-    const minutes = Math.floor(minutesDecimal);
-    const seconds = Math.floor((minutesDecimal - minutes) * 60);
-
-    // Format as DDMMSS or DDDMMSS
-    const degStr = isLat
-      ? degrees.toString().padStart(2, '0')
-      : degrees.toString().padStart(3, '0');
-    const minStr = minutes.toString().padStart(2, '0');
-    const secStr = seconds.toString().padStart(2, '0');
+function formatCoordinate(lat, lon, format = 'dms') {
+  if (format === 'decimal') {
+    return [lat.toFixed(6), lon.toFixed(6)];
+  }
 
-    // Add sign
-    const sign = decimal < 0 ? '-' : '';
+  const secondDecimals = format === 'dms-decimal' ? 1 : 0;
 
-    return sign + degStr + minStr + secStr;
+  // Seconds are rounded, carrying into the minutes and degrees (59.96" is the next minute)
+  const formatDMS = (decimal, degreeDigits) => {
+    const { negative, degrees, minutes, seconds } = splitDMS(decimal, secondDecimals);
+
+    const degStr = degrees.toString().padStart(degreeDigits, '0');
+    const minStr = minutes.toString().padStart(2, '0');
+    const secStr = seconds.toFixed(secondDecimals).padStart(secondDecimals > 0 ? 3 + secondDecimals : 2, '0');
+
+    return (negative ? '-' : '') + degStr + minStr + secStr;
   };
 
-  return [formatDMS(lat, true), formatDMS(lon, false)];
+  return [formatDMS(lat, 2), formatDMS(lon, 3)];
 }
 
 /**
- * Parse altitude to flight level number
+ * Find the position controlling an airspace: the profile rule that matches it,
+ * or one named after its controlling unit. Terminal units at a location are
+ * named after the location (e.g. SY_APP); other units, such as a centre or
+ * flight service sector, after the unit and its frequency (e.g. BN_CTR_124300
+ * for BRISBANE CENTRE 124.3), as one unit runs several sectors.
  */
-function parseAltitude(altStr) {
-  if (!altStr) return null;
-
-  const str = altStr.toString().toUpperCase().trim();
+function resolvePosition(profile, airspace) {
+  const unit = airspace.controllingUnit;
+  const position = matchPosition(profile, airspace);
 
-  // Handle unlimited
-  if (str === 'UNL' || str === 'UNLIMITED') {
-    return 999;
+  if (position) {
+    return { ...position, type: position.type || (unit && unit.type) || null };
   }
 
-  // Handle ground level
-  if (str === 'GND' || str === 'GROUND' || str === 'SFC') {
-    return null; // Don't set min for ground
-  }
+  if (!unit) return null;
 
-  // Parse flight level (e.g., "FL350", "F350")
-  const flMatch = str.match(/F?L?(\d+)/);
-  if (flMatch) {
-    return parseInt(flMatch[1]);
+  const hasLocation = airspace.locations && airspace.locations.length > 0;
+  if (unit.type !== 'CTR' && unit.type !== 'FSS' && hasLocation) {
+    const { prefix } = getLocation(profile, airspace.locations[0]);
+    return { id: `${prefix}_${unit.type}`, type: unit.type, colour: null, prefix };
   }
 
-  // Parse feet and convert to flight level (e.g., "24500FT" -> FL245)
-  const ftMatch = str.match(/(\d+)\s*(FT|'|FEET)?/);
-  if (ftMatch) {
-    const feet = parseInt(ftMatch[1]);
-    // Convert feet to flight level (divide by 100)
-    return Math.floor(feet / 100);
-  }
+  if (!airspace.frequencies || airspace.frequencies.length === 0) return null;
 
-  return null;
+  const prefix = getUnitPrefix(profile, unit, hasLocation ? airspace.locations[0] : null);
+  const frequency = primaryFrequency(airspace.frequencies).toFixed(3).replace('.', '');
+  return { id: `${prefix}_${unit.type}_${frequency}`, type: unit.type, colour: null, prefix };
 }
 
 /**
- * Extract position ID from airspace info
+ * Callsign prefix for a unit: that of the profile location with the unit's
+ * name (BRISBANE gives BN), else the airspace's location, else the first two
+ * letters of the unit name
  */
-function extractPositionId(id, name) {
-  // Try to extract from ID (e.g., "YMMM/ADELAIDE" -> extract position code)
-  // For now, use a simple extraction - this may need refinement based on actual data
-
-  // Look for common position identifiers in the name
-  const nameUpper = (name || id || '').toUpperCase();
-
-  if (nameUpper.includes('CORAL')) return 'COL';
-  if (nameUpper.includes('FLINDERS')) return 'FLD';
-  if (nameUpper.includes('HOWE')) return 'HWE';
-  if (nameUpper.includes('TASMAN')) return 'TSN';
-  if (nameUpper.includes('INDIAN EAST')) return 'INE';
-  if (nameUpper.includes('INDIAN SOUTH')) return 'INS';
-  if (nameUpper.includes('INDIAN')) return 'IND';
-  if (nameUpper.includes('HONIARA')) return 'AGGG';
-  if (nameUpper.includes('NAURU')) return 'ANAU';
-
-  // Default: try to extract first 3-4 letter code
-  const codeMatch = nameUpper.match(/([A-Z]{3,4})/);
-  if (codeMatch) {
-    return codeMatch[1];
-  }
+function getUnitPrefix(profile, unit, location) {
+  const named = Object.values(profile.locations || {})
+    .find(entry => entry.prefix && (entry.name || '').toUpperCase() === unit.name);
+  if (named) return named.prefix;
+  if (location) return getLocation(profile, location).prefix;
 
-  return null;
-}
-
-/**
- * Extract location name from ICAO code
- */
-function extractLocationName(icao) {
-  const locationMap = {
-    'YBBB': 'Brisbane',
-    'YBBO': 'Brisbane',
-    'YMMM': 'Melbourne',
-    'YMMO': 'Melbourne',
-    'YSSY': 'Sydney',
-    'YSSO': 'Sydney',
-    'YPAD': 'Adelaide',
-    'YPPH': 'Perth'
-  };
-
-  return locationMap[icao] || icao;
+  return unit.name.replace(/[^A-Z]/g, '').substring(0, 2);
 }
 
 /**
  * Determine position prefix based on location and position
  */
-function determinePositionPrefix(locations, posId) {
-  if (!locations || locations.length === 0) return posId;
-
-  const location = locations[0];
-
-  // Map location to prefix
-  const prefixMap = {
-    'YBBB': 'BN',
-    'YBBO': 'BN',
-    'YMMM': 'ML',
-    'YMMO': 'ML',
-    'YSSY': 'SY',
-    'YSSO': 'SY',
-    'YPAD': 'AD',
-    'YPPH': 'PH'
-  };
-
-  const prefix = prefixMap[location] || location.substring(1, 3).toUpperCase();
+function determinePositionPrefix(profile, locations, position) {
+  if (position.prefix) return position.prefix;
+  if (!locations || locations.length === 0) return position.id;
 
-  return `${prefix}-${posId}`;
+  return `${getLocation(profile, locations[0]).prefix}-${position.id}`;
 }
 
 module.exports = {
-  convertToVATGlasses
+  convertToVATGlasses,
+  convertAirspace,
+  formatCoordinate
 };
@@ -0,0 +1,96 @@
+/**
+ * Parse Diagnostics
+ * A log of the DAH text the parser could not use, with the page and line
+ * it came from, so a conversion can be checked for anything it lost
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Kinds of diagnostic the parser records
+const DIAGNOSTIC_KINDS = {
+  SKIPPED_LINE: 'Skipped line',
+  UNRECOGNISED_HEADER: 'Unrecognised section header',
+  UNMATCHED_COORDINATE: 'Unmatched coordinate fragment',
+  DROPPED_AIRSPACE: 'Dropped airspace',
+  UNREADABLE_REFERENCE: 'Unreadable reference geometry',
+  RUNNING_LINE: 'Removed page header or footer',
+  ARC_RADIUS_MISMATCH: 'Arc point off its radius'
+};
+
+/**
+ * Record a diagnostic against a source line
+ * @param {Array} diagnostics - Log to add to
+ * @param {string} kind - One of DIAGNOSTIC_KINDS
+ * @param {Object} source - Source line as {text, page, line}; page and line are
+ *   left out for problems with no line in the DAH, such as an unreadable file
+ * @param {string} [message] - Detail, e.g. what the fragment was
+ */
+function addDiagnostic(diagnostics, kind, source, message = '') {
+  diagnostics.push({
+    kind,
+    page: source.page,
+    line: source.line,
+    text: source.text,
+    message
+  });
+}
+
+/**
+ * Format a diagnostic as one line of text
+ */
+function formatDiagnostic(diagnostic) {
+  const where = diagnostic.page ? `p${diagnostic.page}:${diagnostic.line} ` : diagnostic.line ? `line ${diagnostic.line} ` : '';
+  const detail = diagnostic.message ? ` - ${diagnostic.message}` : '';
+  return `${where}${DIAGNOSTIC_KINDS[diagnostic.kind] || diagnostic.kind}${detail}: ${diagnostic.text}`;
+}
+
+/**
+ * Count diagnostics by kind
+ */
+function summariseDiagnostics(diagnostics) {
+  const counts = {};
+  diagnostics.forEach(diagnostic => {
+    counts[diagnostic.kind] = (counts[diagnostic.kind] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Path of the diagnostics file written next to an output file,
+ * e.g. "out/dah.json" gives "out/dah.diagnostics.json"
+ */
+function getDiagnosticsPath(outputPath) {
+  return path.join(path.dirname(outputPath), `${path.basename(outputPath, path.extname(outputPath))}.diagnostics.json`);
+}
+
+/**
+ * Write the diagnostics of a parse next to an output file
+ * @param {string} outputPath - Output file the diagnostics belong to
+ * @param {Object} parsedData - Data parsed from DAH file
+ * @returns {Promise<string>} Path of the diagnostics file
+ */
+async function writeDiagnostics(outputPath, parsedData) {
+  const diagnostics = parsedData.diagnostics || [];
+  const diagnosticsPath = getDiagnosticsPath(outputPath);
+
+  await fs.writeFile(diagnosticsPath, JSON.stringify({
+    source: (parsedData.metadata || {}).source,
+    airac: (parsedData.metadata || {}).airac,
+    effectiveDate: (parsedData.metadata || {}).effectiveDate,
+    parseDate: (parsedData.metadata || {}).parseDate,
+    counts: summariseDiagnostics(diagnostics),
+    diagnostics
+  }, null, 2), 'utf-8');
+
+  return diagnosticsPath;
+}
+
+module.exports = {
+  DIAGNOSTIC_KINDS,
+  addDiagnostic,
+  formatDiagnostic,
+  summariseDiagnostics,
+  getDiagnosticsPath,
+  writeDiagnostics
+};
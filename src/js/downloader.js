@@ -0,0 +1,291 @@
+/**
+ * PDF Downloader
+ * Downloads a DAH PDF to a temporary file, following redirects, with
+ * timeouts, retries and cancelling, and checks that what arrived is a PDF
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+const DEFAULT_OPTIONS = {
+  maxRedirects: 5,
+  // Longest the connection may sit idle, waiting to connect or for data
+  timeoutMs: 30000,
+  // Extra attempts after network errors, timeouts and server (5xx) errors
+  retries: 2,
+  // Wait before retrying, multiplied by the attempt number
+  retryDelayMs: 1000
+};
+
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+
+// Without a length, progress is reported after each this many bytes
+const PROGRESS_STEP_BYTES = 256 * 1024;
+
+// Content types a server may send a PDF as; anything else (e.g. a text/html login page) is refused
+const PDF_CONTENT_TYPES = ['application/pdf', 'application/x-pdf', 'application/octet-stream', 'binary/octet-stream'];
+
+const PDF_MAGIC = '%PDF-';
+
+/**
+ * Download a PDF
+ * @param {string} url - http or https URL
+ * @param {Object} options - Download options
+ * @param {string} options.directory - Directory to save the file in
+ * @param {AbortSignal} [options.signal] - Cancels the download when aborted
+ * @param {Function} [options.onProgress] - Called with {receivedBytes, totalBytes, percent, attempt};
+ *   totalBytes and percent are null if the server does not send a length
+ * @param {number} [options.maxRedirects] - Most redirects to follow
+ * @param {number} [options.timeoutMs] - Idle time after which an attempt fails
+ * @param {number} [options.retries] - Extra attempts after errors worth retrying
+ * @param {number} [options.retryDelayMs] - Base wait between attempts
+ * @param {string} [options.etag] - ETag of a copy already downloaded; the file is only sent if it changed
+ * @param {string} [options.lastModified] - Last-Modified date of a copy already downloaded, used the same way
+ * @returns {Promise<Object>} {filePath, url, size, sha256, contentType, etag, lastModified} where url
+ *   is the final URL after redirects, or {notModified: true, url} if the copy already downloaded is current
+ */
+async function downloadPDF(url, options) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('Only http and https links can be downloaded');
+  }
+
+  await fs.promises.mkdir(settings.directory, { recursive: true });
+
+  let lastError;
+  for (let attempt = 0; attempt <= settings.retries; attempt++) {
+    try {
+      if (attempt > 0) {
+        await wait(settings.retryDelayMs * attempt, settings.signal);
+      }
+      return await downloadOnce(parsed.href, settings, attempt);
+    } catch (error) {
+      lastError = toDownloadError(error, settings.signal);
+      if (!lastError.retryable) throw lastError;
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Make one attempt at a download, following redirects
+ */
+async function downloadOnce(url, settings, attempt) {
+  let currentUrl = url;
+
+  for (let redirects = 0; ; redirects++) {
+    const response = await request(currentUrl, settings);
+
+    if (REDIRECT_CODES.includes(response.statusCode)) {
+      response.resume();
+      if (!response.headers.location) {
+        throw new Error(`HTTP ${response.statusCode} redirect without a Location header`);
+      }
+      if (redirects >= settings.maxRedirects) {
+        throw new Error(`Too many redirects (more than ${settings.maxRedirects})`);
+      }
+      // Location may be relative to the URL that sent it
+      currentUrl = new URL(response.headers.location, currentUrl).href;
+      continue;
+    }
+
+    if (response.statusCode === 304) {
+      response.resume();
+      return { notModified: true, url: currentUrl };
+    }
+
+    if (response.statusCode !== 200) {
+      response.resume();
+      throw retryableIf(response.statusCode >= 500, new Error(`Failed to download: HTTP ${response.statusCode}`));
+    }
+
+    return saveResponse(response, currentUrl, settings, attempt);
+  }
+}
+
+/**
+ * Send a GET request, resolving with the response once its headers arrive.
+ * With an ETag or Last-Modified date the request is conditional, and a server
+ * whose file has not changed answers 304 without sending it again.
+ */
+function request(url, settings) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const headers = { Accept: 'application/pdf, application/octet-stream;q=0.9, */*;q=0.1' };
+    if (settings.etag) headers['If-None-Match'] = settings.etag;
+    if (settings.lastModified) headers['If-Modified-Since'] = settings.lastModified;
+
+    let response = null;
+    const req = client.get(url, { signal: settings.signal, headers }, (res) => {
+      response = res;
+      resolve(res);
+    });
+
+    // The timeout covers the body too, so a download that stalls part way fails with it
+    req.setTimeout(settings.timeoutMs, () => {
+      const error = retryableIf(true, new Error(`Timed out after ${settings.timeoutMs / 1000}s without data`));
+      if (response) response.destroy(error);
+      req.destroy(error);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Write a response to a temporary file, checking it is a PDF and hashing it on the way
+ */
+async function saveResponse(response, url, settings, attempt) {
+  const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (contentType && !PDF_CONTENT_TYPES.includes(contentType)) {
+    response.resume();
+    throw new Error(`The link returned ${contentType}, not a PDF`);
+  }
+
+  const totalBytes = parseInt(response.headers['content-length'], 10) || null;
+  const fileName = `dah-download-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.pdf`;
+  const filePath = path.join(settings.directory, fileName);
+  const partPath = `${filePath}.part`;
+
+  const hash = crypto.createHash('sha256');
+  let receivedBytes = 0;
+  let head = Buffer.alloc(0);
+  let reported = null;
+
+  // Report when the percentage changes, not on every chunk
+  const report = () => {
+    if (!settings.onProgress) return;
+
+    const percent = totalBytes ? Math.min(100, Math.round((receivedBytes / totalBytes) * 100)) : null;
+    const step = totalBytes ? percent : Math.floor(receivedBytes / PROGRESS_STEP_BYTES);
+    if (step === reported) return;
+
+    reported = step;
+    settings.onProgress({ receivedBytes, totalBytes, percent, attempt });
+  };
+
+  const checkAndHash = async function* (source) {
+    for await (const chunk of source) {
+      if (head.length < PDF_MAGIC.length) {
+        head = Buffer.concat([head, chunk]).subarray(0, PDF_MAGIC.length);
+        if (head.length === PDF_MAGIC.length && head.toString('latin1') !== PDF_MAGIC) {
+          throw new Error('The downloaded file is not a PDF');
+        }
+      }
+
+      hash.update(chunk);
+      receivedBytes += chunk.length;
+      report();
+      yield chunk;
+    }
+  };
+
+  try {
+    await pipeline(response, checkAndHash, fs.createWriteStream(partPath), { signal: settings.signal });
+
+    if (head.toString('latin1') !== PDF_MAGIC) {
+      throw new Error('The downloaded file is not a PDF');
+    }
+    if (totalBytes && receivedBytes !== totalBytes) {
+      throw retryableIf(true, new Error(`Download incomplete: got ${receivedBytes} of ${totalBytes} bytes`));
+    }
+
+    await fs.promises.rename(partPath, filePath);
+  } catch (error) {
+    await removeFile(partPath);
+    // A connection that drops mid-body is worth another attempt
+    throw retryableIf(error.code === 'ECONNRESET' || error.code === 'ERR_STREAM_PREMATURE_CLOSE', error);
+  }
+
+  return {
+    filePath,
+    url,
+    size: receivedBytes,
+    sha256: hash.digest('hex'),
+    contentType: contentType || null,
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null
+  };
+}
+
+/**
+ * Turn aborts into a "Download cancelled" error and mark network errors as worth retrying
+ */
+function toDownloadError(error, signal) {
+  if ((signal && signal.aborted) || error.name === 'AbortError') {
+    const cancelled = new Error('Download cancelled');
+    cancelled.cancelled = true;
+    return cancelled;
+  }
+
+  const networkCodes = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH'];
+  return retryableIf(networkCodes.includes(error.code), error);
+}
+
+/**
+ * Mark an error as worth another attempt
+ */
+function retryableIf(condition, error) {
+  if (condition) {
+    error.retryable = true;
+  }
+  return error;
+}
+
+/**
+ * Wait before a retry, stopping early if the download is cancelled
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new Error('Download cancelled'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Download cancelled'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Delete a file, ignoring one that is already gone
+ */
+async function removeFile(filePath) {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+/**
+ * Delete every file left in a download directory
+ * @param {string} directory - Directory passed to downloadPDF
+ */
+async function cleanupDownloads(directory) {
+  await fs.promises.rm(directory, { recursive: true, force: true });
+}
+
+module.exports = {
+  downloadPDF,
+  cleanupDownloads
+};
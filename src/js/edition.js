@@ -0,0 +1,140 @@
+/**
+ * DAH Edition
+ * Reads the AIRAC cycle, effective date, edition and amendment number from
+ * the front matter of a DAH, so every export records which cycle it came from
+ */
+
+// The front matter is read from this many pages, and no more than this many lines
+const FRONT_MATTER_PAGES = 3;
+const FRONT_MATTER_LINES = 300;
+
+// AIRAC cycles are 28 days apart; cycle 2001 took effect on 2 January 2020
+const AIRAC_EPOCH = Date.UTC(2020, 0, 2);
+const AIRAC_DAYS = 28;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// e.g. "AIRAC 2511", "AIRAC CYCLE: 2511", "AIRAC AMDT 11/25"
+const AIRAC_PATTERN = /\bAIRAC\s*(?:CYCLE|AMDT|AMENDMENT)?\s*(?:NR|NO\.?)?\s*:?\s*(?:(\d{4})\b|(\d{1,2})\s*\/\s*(\d{2})\b)/i;
+
+// e.g. "EFFECTIVE 27 NOV 2025", "Effective date: 0000 UTC 27 November 2025"
+const EFFECTIVE_PATTERN = /\bEFFECTIVE(?:\s+DATE)?\s*:?\s*(?:FROM\s+)?(?:\d{4}\s*UTC\s+)?(\d{1,2})[\s-]+([A-Z]{3,9})[\s-]+(\d{4})\b/i;
+
+// e.g. "EDITION 3", "Edition: 27 NOV 2025"; prose such as "this edition replaces" is not an edition
+const EDITION_PATTERN = /\bEDITION\s*(?:NR|NO\.?)?\s*:?\s*(\d{1,2}\s+[A-Z]{3,9}\s+\d{4}|\d[\w./-]*)/i;
+
+// e.g. "AMDT 150", "AIP AMENDMENT NR 150"; the amendment in "AIRAC AMENDMENT 2511" is the cycle
+const AMENDMENT_PATTERN = /(?<!\bAIRAC\s*)\b(?:AMDT|AMENDMENT)\s*(?:NR|NO\.?)?\s*:?\s*(\d+(?:\/\d+)?)\b/i;
+
+/**
+ * Read the edition details from the front matter of a DAH
+ * @param {Array} sourceLines - Lines as {text, page, line}
+ * @returns {Object} {airac, effectiveDate, edition, amendment}, each null if not found.
+ *   airac is a cycle such as "2511" (worked out from the effective date if the
+ *   DAH does not print it), effectiveDate an ISO date such as "2025-10-30"
+ */
+function extractEdition(sourceLines) {
+  const edition = {
+    airac: null,
+    effectiveDate: null,
+    edition: null,
+    amendment: null
+  };
+
+  const frontMatter = sourceLines
+    .filter(source => source.page <= FRONT_MATTER_PAGES)
+    .slice(0, FRONT_MATTER_LINES);
+
+  for (const { text } of frontMatter) {
+    if (!edition.airac) {
+      const match = text.match(AIRAC_PATTERN);
+      if (match) {
+        edition.airac = match[1] || `${match[3]}${match[2].padStart(2, '0')}`;
+      }
+    }
+
+    if (!edition.effectiveDate) {
+      const match = text.match(EFFECTIVE_PATTERN);
+      const month = match ? MONTHS.indexOf(match[2].substring(0, 3).toUpperCase()) : -1;
+      if (month !== -1) {
+        edition.effectiveDate = toISODate(Date.UTC(parseInt(match[3], 10), month, parseInt(match[1], 10)));
+      }
+    }
+
+    if (!edition.edition) {
+      const match = text.match(EDITION_PATTERN);
+      if (match) {
+        edition.edition = match[1].trim();
+      }
+    }
+
+    if (!edition.amendment) {
+      const match = text.match(AMENDMENT_PATTERN);
+      if (match) {
+        edition.amendment = match[1];
+      }
+    }
+  }
+
+  if (!edition.airac && edition.effectiveDate) {
+    edition.airac = getAiracCycle(edition.effectiveDate);
+  }
+
+  return edition;
+}
+
+/**
+ * Find the AIRAC cycle in force on a date
+ * @param {string} isoDate - Date such as "2025-11-27"
+ * @returns {string|null} Cycle such as "2512", or null for dates before 2020
+ */
+function getAiracCycle(isoDate) {
+  const date = Date.parse(`${isoDate}T00:00:00Z`);
+  if (Number.isNaN(date) || date < AIRAC_EPOCH) return null;
+
+  const cycleStart = AIRAC_EPOCH + Math.floor((date - AIRAC_EPOCH) / DAY_MS / AIRAC_DAYS) * AIRAC_DAYS * DAY_MS;
+  const year = new Date(cycleStart).getUTCFullYear();
+  const number = Math.floor((cycleStart - Date.UTC(year, 0, 1)) / DAY_MS / AIRAC_DAYS) + 1;
+
+  return `${year % 100}`.padStart(2, '0') + `${number}`.padStart(2, '0');
+}
+
+/**
+ * Describe where parsed data came from, e.g.
+ * "Air Services Australia DAH (AIRAC 2511, effective 2025-10-30)"
+ */
+function describeSource(metadata = {}) {
+  const details = [
+    metadata.airac && `AIRAC ${metadata.airac}`,
+    metadata.effectiveDate && `effective ${metadata.effectiveDate}`,
+    metadata.edition && `edition ${metadata.edition}`,
+    metadata.amendment && `amendment ${metadata.amendment}`
+  ].filter(Boolean);
+
+  const source = metadata.source || 'DAH';
+  return details.length > 0 ? `${source} (${details.join(', ')})` : source;
+}
+
+/**
+ * Default file name for an export, e.g. "vatglasses-AIRAC2511.json",
+ * or "vatglasses-output.json" if the cycle is not known
+ */
+function getEditionFileName(prefix, metadata, extension) {
+  const airac = (metadata || {}).airac;
+  return `${prefix}-${airac ? `AIRAC${airac}` : 'output'}.${extension}`;
+}
+
+/**
+ * Format a UTC timestamp as an ISO date
+ */
+function toISODate(time) {
+  return new Date(time).toISOString().substring(0, 10);
+}
+
+module.exports = {
+  extractEdition,
+  getAiracCycle,
+  describeSource,
+  getEditionFileName
+};
@@ -0,0 +1,168 @@
+/**
+ * EuroScope Exporter
+ * Converts parsed DAH data to a EuroScope sector file (.sct) and
+ * sector extension file (.ese)
+ *
+ * Controlled airspace is written to [ARTCC HIGH] or [ARTCC LOW] in the .sct
+ * by its floor, and restricted, prohibited and danger areas to [GEO].
+ * The .ese gets a SECTORLINE per volume and a SECTOR with its altitude range,
+ * and a [POSITIONS] entry for each position that owns a sector.
+ */
+
+const { splitDMS, closeRing } = require('./geo');
+const { getVolumes } = require('./parser');
+const { toFeet } = require('./altitude');
+const { isPRDType } = require('./classification');
+const { convertToVATGlasses, convertAirspace } = require('./converter');
+const { getDefaultProfile } = require('./profile');
+const { describeSource } = require('./edition');
+const { nameVolume, getPositionCallsign } = require('./sector-files');
+
+// Volumes with a floor at or above this flight level go in [ARTCC HIGH]
+const HIGH_AIRSPACE_FLOOR = 245;
+
+// EuroScope has no unlimited value, so unlimited ceilings use this altitude in feet
+const UNLIMITED_FT = 99999;
+
+// Frequency EuroScope uses for positions with no published frequency
+const NO_FREQUENCY = '199.998';
+
+// [GEO] colours for PRD areas, as EuroScope colour values (R + G * 256 + B * 65536)
+const GEO_COLOURS = {
+  RESTRICTED: { name: 'COLOR_RESTRICTED', rgb: [229, 62, 62] },
+  PROHIBITED: { name: 'COLOR_PROHIBITED', rgb: [155, 44, 44] },
+  DANGER: { name: 'COLOR_DANGER', rgb: [221, 107, 32] }
+};
+
+/**
+ * Convert parsed DAH data to EuroScope sector files
+ * @param {Object} parsedData - Data parsed from DAH file
+ * @param {Object} [vatglassesData] - Converted VATGlasses data to take positions from
+ * @param {Object} [profile] - Mapping profile that gives each sector's owner
+ * @returns {Object} {sct, ese} file contents
+ */
+function convertToEuroScope(parsedData, vatglassesData, profile = getDefaultProfile()) {
+  vatglassesData = vatglassesData || convertToVATGlasses(parsedData, profile);
+
+  const high = [];
+  const low = [];
+  const geo = [];
+  const sectorLines = [];
+  const sectors = [];
+  const owners = new Set();
+  const usedNames = new Set();
+
+  (parsedData.airspaces || []).forEach(airspace => {
+    const converted = convertAirspace(airspace, profile);
+    const owner = converted && converted.owner[0];
+
+    getVolumes(airspace).forEach(volume => {
+      if (volume.boundaries.length < 3) return;
+
+      const name = nameVolume(airspace, volume, usedNames);
+
+      const ring = closeRing(volume.boundaries);
+      const floor = toFeet(volume.lowerLimit, 0);
+      const ceiling = toFeet(volume.upperLimit, UNLIMITED_FT);
+
+      // .sct: one line per boundary edge
+      const edges = ring.slice(1).map((point, index) =>
+        `${name} ${formatEuroScopeCoordinate(ring[index])} ${formatEuroScopeCoordinate(point)}`
+      );
+
+      if (isPRDType(airspace.type)) {
+        const colour = GEO_COLOURS[airspace.type].name;
+        geo.push(...edges.map(edge => `${edge} ${colour}`));
+      } else if (floor >= HIGH_AIRSPACE_FLOOR * 100) {
+        high.push(...edges);
+      } else {
+        low.push(...edges);
+      }
+
+      // .ese: the boundary as a sector line, and the sector that uses it
+      sectorLines.push(
+        `SECTORLINE:${name}`,
+        ...ring.map(point => `COORD:${formatEuroScopeCoordinate(point).replace(' ', ':')}`),
+        ''
+      );
+      if (owner) owners.add(owner);
+      sectors.push(
+        `SECTOR:${name}:${floor}:${ceiling}`,
+        ...(owner ? [`OWNER:${owner}`] : []),
+        `BORDER:${name}`,
+        ''
+      );
+    });
+  });
+
+  const source = describeSource(parsedData.metadata);
+  const defines = Object.values(GEO_COLOURS).map(({ name, rgb }) =>
+    `#define ${name} ${rgb[0] + rgb[1] * 256 + rgb[2] * 65536}`
+  );
+
+  const sct = [
+    `; ${source}, generated by DAH Extractor`,
+    ...defines,
+    '',
+    '[ARTCC HIGH]',
+    ...high,
+    '',
+    '[ARTCC LOW]',
+    ...low,
+    '',
+    '[GEO]',
+    ...geo,
+    ''
+  ].join('\n');
+
+  // OWNER lines name position identifiers, so each owner needs a position
+  const positions = [...owners].map(owner => {
+    const position = (vatglassesData.positions || {})[owner] || {};
+    const [prefix, middle = ''] = ((position.pre || [])[0] || owner).split('-');
+
+    return [
+      getPositionCallsign(owner, position),
+      position.callsign || owner,
+      position.frequency || NO_FREQUENCY,
+      owner,
+      middle,
+      prefix,
+      position.type || 'CTR',
+      '-',
+      '-',
+      '0000',
+      '0000'
+    ].join(':');
+  });
+
+  const ese = [
+    `; ${source}, generated by DAH Extractor`,
+    '',
+    '[POSITIONS]',
+    ...positions,
+    '',
+    '[AIRSPACE]',
+    ...sectorLines,
+    ...sectors
+  ].join('\n');
+
+  return { sct, ese };
+}
+
+/**
+ * Format a point in EuroScope notation, e.g. "S033.56.45.000 E151.10.23.000"
+ */
+function formatEuroScopeCoordinate(point) {
+  const format = (decimal, isLat) => {
+    const { negative, degrees, minutes, seconds } = splitDMS(decimal, 3);
+    const hemisphere = isLat ? (negative ? 'S' : 'N') : (negative ? 'W' : 'E');
+
+    return `${hemisphere}${degrees.toString().padStart(3, '0')}.${minutes.toString().padStart(2, '0')}.${seconds.toFixed(3).padStart(6, '0')}`;
+  };
+
+  return `${format(point.latitude, true)} ${format(point.longitude, false)}`;
+}
+
+module.exports = {
+  convertToEuroScope
+};
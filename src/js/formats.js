@@ -0,0 +1,135 @@
+/**
+ * Output Formats
+ * The formats a parsed DAH can be written as, shared by the app and the CLI
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { convertToVATGlasses } = require('./converter');
+const { convertToGeoJSON } = require('./geojson');
+const { convertToOpenAir } = require('./openair');
+const { convertToVatSys } = require('./vatsys');
+const { convertToEuroScope } = require('./euroscope');
+
+// build(parsedData, options) returns the file content, or for formats made of
+// several files (listed in suffixes) a list of {suffix, content} written next
+// to the chosen path.
+// options.vatglassesData is an already converted (and possibly edited)
+// VATGlasses file to use instead of converting again, and options.profile the
+// mapping profile for groups and owners (the bundled one if not given).
+// Extensions must differ from the DAH inputs' (pdf, txt, dat, dah), as the CLI
+// writes next to its input by default.
+const OUTPUT_FORMATS = {
+  vatglasses: {
+    name: 'VATGlasses JSON',
+    extension: 'json',
+    build: (parsedData, options = {}) =>
+      JSON.stringify(options.vatglassesData || convertToVATGlasses(parsedData, options.profile), null, 2)
+  },
+  geojson: {
+    name: 'GeoJSON',
+    extension: 'geojson',
+    build: (parsedData) => JSON.stringify(convertToGeoJSON(parsedData), null, 2)
+  },
+  openair: {
+    name: 'OpenAir',
+    extension: 'air',
+    build: (parsedData) => convertToOpenAir(parsedData)
+  },
+  vatsys: {
+    name: 'vatSys Volumes and Sectors XML',
+    extension: 'xml',
+    suffixes: ['-Volumes.xml', '-Sectors.xml'],
+    build: (parsedData, options = {}) => {
+      const { volumes, sectors } = convertToVatSys(parsedData, options.vatglassesData, options.profile);
+      return [
+        { suffix: '-Volumes.xml', content: volumes },
+        { suffix: '-Sectors.xml', content: sectors }
+      ];
+    }
+  },
+  euroscope: {
+    name: 'EuroScope sector files (.sct/.ese)',
+    extension: 'sct',
+    suffixes: ['.sct', '.ese'],
+    build: (parsedData, options = {}) => {
+      const { sct, ese } = convertToEuroScope(parsedData, options.vatglassesData, options.profile);
+      return [
+        { suffix: '.sct', content: sct },
+        { suffix: '.ese', content: ese }
+      ];
+    }
+  }
+};
+
+/**
+ * Look up an output format by id
+ * @param {string} formatId - Format id, e.g. "vatglasses"
+ * @returns {Object} Format definition
+ */
+function getOutputFormat(formatId) {
+  const format = OUTPUT_FORMATS[(formatId || '').toLowerCase()];
+  if (!format) {
+    throw new Error(`Unknown output format "${formatId}". Available formats: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Find the output format for a file name from its extension
+ * @param {string} filePath - Output file path
+ * @returns {Object|null} Format definition with its id, or null if none matches
+ *   (including .txt, which is a DAH input rather than an output)
+ */
+function getOutputFormatForPath(filePath) {
+  const extension = filePath.split('.').pop().toLowerCase();
+  const entry = Object.entries(OUTPUT_FORMATS).find(([, format]) => format.extension === extension);
+  return entry ? { id: entry[0], ...entry[1] } : null;
+}
+
+/**
+ * Path of one file of a multi-file format, e.g. "out/dah.xml" and "-Volumes.xml" give "out/dah-Volumes.xml"
+ */
+function getSuffixedPath(outputPath, suffix) {
+  return path.join(path.dirname(outputPath), path.basename(outputPath, path.extname(outputPath)) + suffix);
+}
+
+/**
+ * Paths of the files an output format writes for a chosen output path
+ * @param {Object} format - Format definition
+ * @param {string} outputPath - Chosen output path
+ * @returns {string[]} Paths, not counting the diagnostics file
+ */
+function getOutputPaths(format, outputPath) {
+  return format.suffixes ? format.suffixes.map(suffix => getSuffixedPath(outputPath, suffix)) : [outputPath];
+}
+
+/**
+ * Build an output format and write it to disk
+ * @param {Object} format - Format definition
+ * @param {string} outputPath - Chosen output path; multi-file formats use it without its extension as a prefix
+ * @param {Object} parsedData - Data parsed from DAH file
+ * @param {Object} [options] - Options passed to the format's build function
+ * @returns {Promise<string[]>} Paths of the files written
+ */
+async function writeOutput(format, outputPath, parsedData, options = {}) {
+  const output = format.build(parsedData, options);
+  const files = typeof output === 'string'
+    ? [{ path: outputPath, content: output }]
+    : output.map(file => ({ path: getSuffixedPath(outputPath, file.suffix), content: file.content }));
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  for (const file of files) {
+    await fs.writeFile(file.path, file.content, 'utf-8');
+  }
+
+  return files.map(file => file.path);
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  writeOutput,
+  getOutputPaths,
+  getOutputFormat,
+  getOutputFormatForPath
+};
@@ -0,0 +1,187 @@
+/**
+ * Geodesy Helpers
+ * Great-circle calculations and coordinate helpers for airspace boundaries
+ */
+
+// Mean earth radius in nautical miles
+const EARTH_RADIUS_NM = 3440.065;
+
+// Conversion factors to nautical miles for distance units used in the DAH
+const UNIT_TO_NM = {
+  NM: 1,
+  KM: 1 / 1.852,
+  M: 1 / 1852
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Normalise a bearing to the range [0, 360)
+ */
+function normaliseBearing(bearing) {
+  return ((bearing % 360) + 360) % 360;
+}
+
+/**
+ * Great-circle distance between two points in nautical miles
+ */
+function distanceNm(from, to) {
+  const lat1 = toRadians(from.latitude);
+  const lat2 = toRadians(to.latitude);
+  const dLat = lat2 - lat1;
+  const dLon = toRadians(to.longitude - from.longitude);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_NM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Initial true bearing from one point to another in degrees
+ */
+function initialBearing(from, to) {
+  const lat1 = toRadians(from.latitude);
+  const lat2 = toRadians(to.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+
+  return normaliseBearing(toDegrees(Math.atan2(y, x)));
+}
+
+/**
+ * Point reached by travelling a distance along a great circle from a start point
+ */
+function destinationPoint(from, bearing, distance) {
+  const lat1 = toRadians(from.latitude);
+  const lon1 = toRadians(from.longitude);
+  const brng = toRadians(bearing);
+  const delta = distance / EARTH_RADIUS_NM;
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(delta) + Math.cos(lat1) * Math.sin(delta) * Math.cos(brng)
+  );
+  const lon2 = lon1 + Math.atan2(
+    Math.sin(brng) * Math.sin(delta) * Math.cos(lat1),
+    Math.cos(delta) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  return {
+    latitude: toDegrees(lat2),
+    longitude: ((toDegrees(lon2) + 540) % 360) - 180
+  };
+}
+
+/**
+ * Convert a distance in the given unit to nautical miles
+ */
+function toNauticalMiles(value, unit) {
+  const factor = UNIT_TO_NM[(unit || 'NM').toUpperCase()];
+  return factor ? value * factor : null;
+}
+
+/**
+ * Build the intermediate points of an arc between two boundary points.
+ * The start point is not included; the end point is always the last point.
+ * @param {Object} centre - Arc centre {latitude, longitude}
+ * @param {number} radiusNm - Arc radius in nautical miles
+ * @param {Object} start - Point the arc starts from
+ * @param {Object} end - Point the arc finishes at
+ * @param {boolean} clockwise - Direction of travel around the centre
+ * @param {number} spacingNm - Maximum distance between generated points
+ * @returns {Array} Points along the arc
+ */
+function densifyArc(centre, radiusNm, start, end, clockwise, spacingNm) {
+  const startBearing = initialBearing(centre, start);
+  const endBearing = initialBearing(centre, end);
+
+  let sweep = clockwise
+    ? normaliseBearing(endBearing - startBearing)
+    : -normaliseBearing(startBearing - endBearing);
+
+  // Start and end on the same radial means a full turn
+  if (sweep === 0) {
+    sweep = clockwise ? 360 : -360;
+  }
+
+  const arcLength = Math.abs(toRadians(sweep)) * radiusNm;
+  const steps = Math.max(1, Math.ceil(arcLength / spacingNm));
+  const points = [];
+
+  for (let i = 1; i < steps; i++) {
+    points.push(destinationPoint(centre, startBearing + (sweep * i) / steps, radiusNm));
+  }
+
+  points.push({ latitude: end.latitude, longitude: end.longitude });
+
+  return points;
+}
+
+/**
+ * Build the points of a full circle, starting due north and running clockwise
+ */
+function densifyCircle(centre, radiusNm, spacingNm) {
+  const circumference = 2 * Math.PI * radiusNm;
+  const steps = Math.max(8, Math.ceil(circumference / spacingNm));
+  const points = [];
+
+  for (let i = 0; i < steps; i++) {
+    points.push(destinationPoint(centre, (360 * i) / steps, radiusNm));
+  }
+
+  return points;
+}
+
+/**
+ * Split decimal degrees into whole degrees, minutes and seconds.
+ * Seconds are rounded to the given number of decimals, carrying into the
+ * minutes and degrees (e.g. 59.96" rounds up to the next minute).
+ * @param {number} decimal - Decimal degrees
+ * @param {number} [secondDecimals] - Decimal places to keep in the seconds
+ * @returns {Object} {negative, degrees, minutes, seconds}
+ */
+function splitDMS(decimal, secondDecimals = 0) {
+  const scale = 10 ** secondDecimals;
+  const totalSeconds = Math.round(Math.abs(decimal) * 3600 * scale) / scale;
+
+  const degrees = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds - degrees * 3600) / 60);
+  const seconds = Math.round((totalSeconds - degrees * 3600 - minutes * 60) * scale) / scale;
+
+  return {
+    negative: decimal < 0 && totalSeconds > 0,
+    degrees,
+    minutes,
+    seconds
+  };
+}
+
+/**
+ * Check whether two points are the same position
+ */
+function samePoint(a, b) {
+  return Math.abs(a.latitude - b.latitude) < 1e-9 && Math.abs(a.longitude - b.longitude) < 1e-9;
+}
+
+/**
+ * Repeat the first point at the end of a ring if it is not already closed
+ */
+function closeRing(points) {
+  return samePoint(points[0], points[points.length - 1]) ? points : [...points, points[0]];
+}
+
+module.exports = {
+  EARTH_RADIUS_NM,
+  distanceNm,
+  initialBearing,
+  destinationPoint,
+  toNauticalMiles,
+  densifyArc,
+  densifyCircle,
+  splitDMS,
+  samePoint,
+  closeRing
+};
@@ -0,0 +1,80 @@
+/**
+ * GeoJSON Exporter
+ * Converts parsed DAH data to a GeoJSON FeatureCollection for GIS tools
+ */
+
+const { formatAltitude } = require('./altitude');
+const { getVolumes } = require('./parser');
+
+/**
+ * Convert parsed DAH data to a GeoJSON FeatureCollection
+ * @param {Object} parsedData - Data parsed from DAH file
+ * @returns {Object} FeatureCollection with one polygon per airspace volume
+ */
+function convertToGeoJSON(parsedData) {
+  const features = [];
+
+  (parsedData.airspaces || []).forEach(airspace => {
+    getVolumes(airspace).forEach(volume => {
+      if (volume.boundaries.length < 3) return;
+
+      features.push({
+        type: 'Feature',
+        id: volume.id,
+        properties: {
+          name: airspace.name,
+          designator: airspace.designator || null,
+          volume: volume !== airspace ? volume.designator : null,
+          type: airspace.type || null,
+          class: airspace.class || null,
+          locations: airspace.locations || [],
+          lowerLimit: formatAltitude(volume.lowerLimit),
+          upperLimit: formatAltitude(volume.upperLimit),
+          lower: volume.lowerLimit || null,
+          upper: volume.upperLimit || null,
+          hoursOfOperation: airspace.hoursOfOperation || null,
+          schedule: airspace.schedule || null,
+          controllingAuthority: airspace.controllingAuthority || null
+        },
+        geometry: {
+          type: 'Polygon',
+          coordinates: [toRing(volume.boundaries)]
+        }
+      });
+    });
+  });
+
+  return {
+    type: 'FeatureCollection',
+    metadata: parsedData.metadata || {},
+    features
+  };
+}
+
+/**
+ * Build a closed, anticlockwise GeoJSON linear ring from boundary points
+ */
+function toRing(boundaries) {
+  const ring = boundaries.map(point => [point.longitude, point.latitude]);
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    ring.push([...first]);
+  }
+
+  // RFC 7946 exterior rings are anticlockwise; this sum is positive for clockwise rings
+  let area = 0;
+  for (let i = 1; i < ring.length; i++) {
+    area += (ring[i][0] - ring[i - 1][0]) * (ring[i][1] + ring[i - 1][1]);
+  }
+  if (area > 0) {
+    ring.reverse();
+  }
+
+  return ring;
+}
+
+module.exports = {
+  convertToGeoJSON
+};
@@ -0,0 +1,281 @@
+/**
+ * DAH Library
+ * Keeps downloaded DAH editions in the app data folder, with a catalogue
+ * indexed by URL, checksum and effective date, so an edition is downloaded
+ * once and can be converted again later. The catalogue can be shared
+ * without the PDFs; editions it lists are downloaded from their URLs.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const CATALOGUE_FILE = 'catalogue.json';
+const CATALOGUE_VERSION = 1;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Load the catalogue of a library, or an empty one if there is none yet
+ * @param {string} directory - Library directory
+ * @returns {Promise<Object>} {version, editions}
+ */
+async function loadCatalogue(directory) {
+  let text;
+  try {
+    text = await fs.readFile(path.join(directory, CATALOGUE_FILE), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { version: CATALOGUE_VERSION, editions: [] };
+    throw error;
+  }
+
+  return parseCatalogue(text);
+}
+
+/**
+ * Write the catalogue of a library
+ */
+async function saveCatalogue(directory, catalogue) {
+  await fs.mkdir(directory, { recursive: true });
+
+  // Write then rename, so a crash part way through leaves the old catalogue
+  const cataloguePath = path.join(directory, CATALOGUE_FILE);
+  await fs.writeFile(`${cataloguePath}.tmp`, JSON.stringify(catalogue, null, 2), 'utf-8');
+  await fs.rename(`${cataloguePath}.tmp`, cataloguePath);
+}
+
+/**
+ * Parse and check catalogue JSON text, throwing an error naming the first problem
+ * @param {string} text - Catalogue JSON
+ * @returns {Object} {version, editions}
+ */
+function parseCatalogue(text) {
+  const catalogue = JSON.parse(text);
+
+  if (!catalogue || !Array.isArray(catalogue.editions)) {
+    throw new Error('catalogue must have a list of editions');
+  }
+
+  catalogue.editions.forEach((edition, index) => {
+    const label = `editions[${index}]`;
+    if (!edition || !SHA256_PATTERN.test(edition.sha256)) {
+      throw new Error(`${label} needs a sha256 checksum`);
+    }
+    if (!Array.isArray(edition.urls)) {
+      throw new Error(`${label} needs a list of urls`);
+    }
+  });
+
+  return { version: CATALOGUE_VERSION, editions: catalogue.editions };
+}
+
+/**
+ * Path of an edition's PDF in a library
+ */
+function getEditionPath(directory, edition) {
+  return path.join(directory, `${edition.sha256}.pdf`);
+}
+
+/**
+ * Find the edition last downloaded from a URL
+ */
+function findEditionByUrl(catalogue, url) {
+  return catalogue.editions.find(edition => edition.urls.includes(url)) || null;
+}
+
+/**
+ * List the editions of a library, latest effective date first
+ * @param {string} directory - Library directory
+ * @returns {Promise<Array>} Editions, each with filePath and whether its PDF is stored (cached)
+ */
+async function listEditions(directory) {
+  const catalogue = await loadCatalogue(directory);
+
+  const editions = await Promise.all(catalogue.editions.map(async edition => {
+    const filePath = getEditionPath(directory, edition);
+    return { ...edition, filePath, cached: await fileExists(filePath) };
+  }));
+
+  return editions.sort((a, b) =>
+    (b.effectiveDate || '').localeCompare(a.effectiveDate || '') || (b.addedAt || '').localeCompare(a.addedAt || '')
+  );
+}
+
+/**
+ * Move a downloaded PDF into a library. A PDF the library already has (same
+ * checksum) is not stored twice; its URLs are added to the existing edition.
+ * A URL now serving a different PDF is moved to the new edition, and editions
+ * left with no URL and no PDF are dropped. The download's ETag and
+ * Last-Modified date are kept so the URL can be checked for changes later.
+ * @param {string} directory - Library directory
+ * @param {Object} download - {filePath, url, sha256, size, etag, lastModified} as returned by downloadPDF
+ * @param {string} [requestedUrl] - URL the download was asked for, if it redirected elsewhere
+ * @returns {Promise<Object>} The edition, with filePath
+ */
+async function addEdition(directory, download, requestedUrl = download.url) {
+  const catalogue = await loadCatalogue(directory);
+  const urls = [...new Set([requestedUrl, download.url])];
+
+  catalogue.editions.forEach(edition => {
+    if (edition.sha256 !== download.sha256) {
+      edition.urls = edition.urls.filter(url => !urls.includes(url));
+    }
+  });
+
+  let edition = catalogue.editions.find(candidate => candidate.sha256 === download.sha256);
+  if (!edition) {
+    edition = {
+      sha256: download.sha256,
+      size: download.size,
+      urls: [],
+      airac: null,
+      effectiveDate: null,
+      edition: null,
+      addedAt: new Date().toISOString()
+    };
+    catalogue.editions.push(edition);
+  }
+  edition.urls = [...new Set([...edition.urls, ...urls])];
+  edition.etag = download.etag || null;
+  edition.lastModified = download.lastModified || null;
+
+  const filePath = getEditionPath(directory, edition);
+  await fs.mkdir(directory, { recursive: true });
+  if (await fileExists(filePath)) {
+    await fs.unlink(download.filePath);
+  } else {
+    await moveFile(download.filePath, filePath);
+  }
+
+  const kept = [];
+  for (const candidate of catalogue.editions) {
+    if (candidate.urls.length > 0 || await fileExists(getEditionPath(directory, candidate))) {
+      kept.push(candidate);
+    }
+  }
+  catalogue.editions = kept;
+
+  await saveCatalogue(directory, catalogue);
+  return { ...edition, filePath, cached: true };
+}
+
+/**
+ * Record the AIRAC cycle and effective date parsed from a library PDF
+ * @param {string} directory - Library directory
+ * @param {string} filePath - PDF that was parsed
+ * @param {Object} metadata - Parsed metadata, see extractEdition
+ * @returns {Promise<Object|null>} The updated edition, or null if the file is not in the library
+ */
+async function updateEditionMetadata(directory, filePath, metadata) {
+  const catalogue = await loadCatalogue(directory);
+  const edition = catalogue.editions.find(candidate =>
+    path.resolve(getEditionPath(directory, candidate)) === path.resolve(filePath)
+  );
+  if (!edition) return null;
+
+  edition.airac = metadata.airac || null;
+  edition.effectiveDate = metadata.effectiveDate || null;
+  edition.edition = metadata.edition || null;
+
+  await saveCatalogue(directory, catalogue);
+  return edition;
+}
+
+/**
+ * Remove an edition and its PDF from a library
+ */
+async function removeEdition(directory, sha256) {
+  const catalogue = await loadCatalogue(directory);
+  const edition = catalogue.editions.find(candidate => candidate.sha256 === sha256);
+  if (!edition) return;
+
+  await fs.rm(getEditionPath(directory, edition), { force: true });
+  catalogue.editions = catalogue.editions.filter(candidate => candidate !== edition);
+  await saveCatalogue(directory, catalogue);
+}
+
+/**
+ * Merge a shared catalogue into a library's. Editions are matched by
+ * checksum; new ones are listed without a PDF until they are downloaded.
+ * @param {string} directory - Library directory
+ * @param {string} text - Catalogue JSON, as written by exporting one
+ * @returns {Promise<Object>} {added, updated} counts
+ */
+async function importCatalogue(directory, text) {
+  const imported = parseCatalogue(text);
+  const catalogue = await loadCatalogue(directory);
+  const counts = { added: 0, updated: 0 };
+
+  imported.editions.forEach(incoming => {
+    const edition = catalogue.editions.find(candidate => candidate.sha256 === incoming.sha256);
+
+    if (!edition) {
+      catalogue.editions.push({
+        sha256: incoming.sha256,
+        size: incoming.size || null,
+        urls: [...incoming.urls],
+        airac: incoming.airac || null,
+        effectiveDate: incoming.effectiveDate || null,
+        edition: incoming.edition || null,
+        addedAt: incoming.addedAt || new Date().toISOString()
+      });
+      counts.added++;
+      return;
+    }
+
+    const urls = [...new Set([...edition.urls, ...incoming.urls])];
+    if (urls.length !== edition.urls.length || (!edition.airac && incoming.airac)) {
+      edition.urls = urls;
+      edition.airac = edition.airac || incoming.airac || null;
+      edition.effectiveDate = edition.effectiveDate || incoming.effectiveDate || null;
+      edition.edition = edition.edition || incoming.edition || null;
+      counts.updated++;
+    }
+  });
+
+  await saveCatalogue(directory, catalogue);
+  return counts;
+}
+
+/**
+ * Catalogue JSON text to share, without the PDFs
+ */
+async function exportCatalogue(directory) {
+  const catalogue = await loadCatalogue(directory);
+  return JSON.stringify({ ...catalogue, exportedAt: new Date().toISOString() }, null, 2);
+}
+
+/**
+ * Check a file exists
+ */
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Move a file, copying it if it is on another drive
+ */
+async function moveFile(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.copyFile(from, to);
+    await fs.unlink(from);
+  }
+}
+
+module.exports = {
+  loadCatalogue,
+  getEditionPath,
+  findEditionByUrl,
+  listEditions,
+  addEdition,
+  updateEditionMetadata,
+  removeEdition,
+  importCatalogue,
+  exportCatalogue
+};
@@ -0,0 +1,230 @@
+/**
+ * Map Preview
+ * Draws parsed airspace polygons on a canvas with a simple lat/lon
+ * projection, so geometry can be checked before saving
+ */
+
+// Fill colours by airspace type
+const MAP_TYPE_COLOURS = {
+  CTA: '#3b82f6',
+  CTR: '#10b981',
+  TMA: '#06b6d4',
+  OCA: '#6366f1',
+  FIR: '#718096',
+  MILITARY_CTR: '#805ad5',
+  RESTRICTED: '#e53e3e',
+  PROHIBITED: '#9b2c2c',
+  DANGER: '#dd6b20',
+  OTHER: '#a0aec0'
+};
+
+const MAP_INVALID_COLOUR = '#facc15';
+const MAP_PADDING = 30;
+
+// Map state
+let mapCanvas = null;
+let mapTooltip = null;
+let mapShapes = [];
+let mapCoastline = [];
+let mapFilter = 'all';
+let mapProjection = null;
+
+/**
+ * Set up the map canvas and hover tooltip
+ */
+function initMapView(canvas, tooltip) {
+  mapCanvas = canvas;
+  mapTooltip = tooltip;
+
+  mapCanvas.addEventListener('mousemove', handleMapHover);
+  mapCanvas.addEventListener('mouseleave', () => {
+    mapTooltip.style.display = 'none';
+  });
+  window.addEventListener('resize', () => {
+    if (mapCanvas.offsetParent) drawMap();
+  });
+}
+
+/**
+ * Load parsed airspaces into the map
+ * @param {Array} airspaces - Parsed airspaces
+ * @param {Map} groups - VATGlasses group of each airspace, keyed by the parsed airspace
+ * @param {Array} coastline - Coastline lines from the reference store
+ * @param {Set} invalidAirspaces - Parsed airspaces that failed validation
+ */
+function setMapData(airspaces, groups, coastline, invalidAirspaces) {
+  mapCoastline = coastline || [];
+  mapShapes = [];
+
+  (airspaces || []).forEach(airspace => {
+    const volumes = airspace.volumes && airspace.volumes.length > 0 ? airspace.volumes : [airspace];
+
+    volumes.forEach(volume => {
+      const boundaries = volume.boundaries.length > 0 ? volume.boundaries : airspace.boundaries;
+      const lower = volume.lowerLimit || airspace.lowerLimit;
+      const upper = volume.upperLimit || airspace.upperLimit;
+
+      mapShapes.push({
+        id: airspace.id,
+        name: volume === airspace ? airspace.name : `${airspace.name} ${volume.designator}`,
+        type: airspace.type || 'OTHER',
+        group: groups.get(airspace) || null,
+        limits: `${lower ? lower.raw : 'SFC'} – ${upper ? upper.raw : 'UNL'}`,
+        boundaries,
+        invalid: invalidAirspaces.has(airspace)
+      });
+    });
+  });
+}
+
+/**
+ * List the filter options for the loaded airspaces, as {value, label}
+ */
+function getMapFilterOptions() {
+  const types = [...new Set(mapShapes.map(shape => shape.type))].sort();
+  const groups = [...new Set(mapShapes.map(shape => shape.group).filter(Boolean))].sort();
+
+  return [
+    { value: 'all', label: 'All airspace' },
+    { value: 'invalid', label: 'Failed validation' },
+    ...types.map(type => ({ value: `type:${type}`, label: `Type: ${type}` })),
+    ...groups.map(group => ({ value: `group:${group}`, label: `Group: ${group}` }))
+  ];
+}
+
+/**
+ * Show only airspaces matching a filter option value
+ */
+function setMapFilter(filter) {
+  mapFilter = filter;
+  drawMap();
+}
+
+/**
+ * Check whether a shape passes the current filter
+ */
+function isShapeVisible(shape) {
+  if (mapFilter === 'all') return true;
+  if (mapFilter === 'invalid') return shape.invalid;
+
+  const [kind, value] = mapFilter.split(':');
+  return kind === 'type' ? shape.type === value : shape.group === value;
+}
+
+/**
+ * Work out a projection that fits the visible airspaces in the canvas.
+ * Longitude is scaled by the cosine of the middle latitude.
+ */
+function fitProjection(shapes, width, height) {
+  let minLat = Infinity, maxLat = -Infinity, minLon = Infinity, maxLon = -Infinity;
+
+  shapes.forEach(shape => {
+    shape.boundaries.forEach(point => {
+      minLat = Math.min(minLat, point.latitude);
+      maxLat = Math.max(maxLat, point.latitude);
+      minLon = Math.min(minLon, point.longitude);
+      maxLon = Math.max(maxLon, point.longitude);
+    });
+  });
+
+  if (!Number.isFinite(minLat)) return null;
+
+  const lonScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+  const spanX = Math.max((maxLon - minLon) * lonScale, 0.01);
+  const spanY = Math.max(maxLat - minLat, 0.01);
+  const scale = Math.min((width - MAP_PADDING * 2) / spanX, (height - MAP_PADDING * 2) / spanY);
+  const offsetX = (width - spanX * scale) / 2;
+  const offsetY = (height - spanY * scale) / 2;
+
+  return (point) => [
+    offsetX + (point.longitude - minLon) * lonScale * scale,
+    offsetY + (maxLat - point.latitude) * scale
+  ];
+}
+
+/**
+ * Draw the coastline and visible airspaces
+ */
+function drawMap() {
+  if (!mapCanvas) return;
+
+  const ratio = window.devicePixelRatio || 1;
+  const width = mapCanvas.clientWidth;
+  const height = mapCanvas.clientHeight;
+  mapCanvas.width = width * ratio;
+  mapCanvas.height = height * ratio;
+
+  const ctx = mapCanvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const visible = mapShapes.filter(isShapeVisible);
+  mapProjection = fitProjection(visible, width, height);
+  if (!mapProjection) return;
+
+  // Coastline
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+  ctx.lineWidth = 1;
+  mapCoastline.forEach(line => {
+    ctx.beginPath();
+    line.forEach((point, index) => {
+      const [x, y] = mapProjection(point);
+      if (index === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+  });
+
+  // Airspace, with polygons that failed validation drawn last so they stay on top
+  [...visible.filter(shape => !shape.invalid), ...visible.filter(shape => shape.invalid)].forEach(shape => {
+    const colour = MAP_TYPE_COLOURS[shape.type] || MAP_TYPE_COLOURS.OTHER;
+
+    shape.path = new Path2D();
+    shape.boundaries.forEach((point, index) => {
+      const [x, y] = mapProjection(point);
+      if (index === 0) shape.path.moveTo(x, y); else shape.path.lineTo(x, y);
+    });
+    shape.path.closePath();
+
+    ctx.globalAlpha = 0.15;
+    ctx.fillStyle = colour;
+    ctx.fill(shape.path);
+
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = shape.invalid ? MAP_INVALID_COLOUR : colour;
+    ctx.lineWidth = shape.invalid ? 3 : 1.5;
+    ctx.setLineDash(shape.invalid ? [6, 4] : []);
+    ctx.stroke(shape.path);
+  });
+
+  ctx.setLineDash([]);
+}
+
+/**
+ * Show the name and limits of the airspaces under the mouse
+ */
+function handleMapHover(event) {
+  if (!mapProjection) return;
+
+  const rect = mapCanvas.getBoundingClientRect();
+  const x = event.clientX - rect.left;
+  const y = event.clientY - rect.top;
+  const ctx = mapCanvas.getContext('2d');
+  const ratio = window.devicePixelRatio || 1;
+
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  const hits = mapShapes.filter(shape =>
+    isShapeVisible(shape) && shape.path && ctx.isPointInPath(shape.path, x * ratio, y * ratio)
+  );
+
+  if (hits.length === 0) {
+    mapTooltip.style.display = 'none';
+    return;
+  }
+
+  mapTooltip.textContent = hits
+    .map(shape => `${shape.name}\n${shape.limits}${shape.invalid ? '\n⚠ failed validation' : ''}`)
+    .join('\n\n');
+  mapTooltip.style.left = `${x + 15}px`;
+  mapTooltip.style.top = `${y + 15}px`;
+  mapTooltip.style.display = 'block';
+}
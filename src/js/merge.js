@@ -0,0 +1,138 @@
+/**
+ * VATGlasses Merge
+ * Updates an existing, hand-maintained VATGlasses file with freshly
+ * converted DAH geometry instead of replacing it
+ */
+
+// Sector fields that come from the DAH; anything else in a sector is kept
+const DAH_SECTOR_FIELDS = ['points', 'min', 'max'];
+
+/**
+ * Merge converted airspace into an existing VATGlasses file.
+ * Airspace is matched by id. Matched entries get new sectors (points and
+ * limits) and activation metadata; their owners, groups and other fields
+ * are kept. Positions, callsigns, airports and groups are left as they are,
+ * apart from adding groups needed by newly added airspace. Ids used more than
+ * once, in either file, cannot be matched safely, so those entries are left
+ * as they are and reported. The existing file's metadata is updated to name
+ * the new cycle; a file without metadata only gets it if asked for.
+ * @param {Object} existing - Existing VATGlasses data
+ * @param {Object} generated - VATGlasses data converted from the DAH
+ * @param {Object} [options] - Merge options
+ * @param {boolean} [options.addMetadata] - Add the DAH metadata to a file that has none
+ * @returns {Object} {data, report} where report lists added, updated, orphaned and duplicate airspace ids
+ */
+function mergeVATGlasses(existing, generated, options = {}) {
+  const data = JSON.parse(JSON.stringify(existing));
+  data.airspace = data.airspace || [];
+  data.groups = data.groups || {};
+
+  if (generated.metadata && (data.metadata || options.addMetadata)) {
+    data.metadata = { ...generated.metadata };
+  }
+
+  const duplicates = new Set([...findDuplicateIds(data.airspace), ...findDuplicateIds(generated.airspace || [])]);
+  const report = { added: [], updated: [], orphaned: [], duplicates: [...duplicates] };
+
+  const generatedIds = new Set();
+
+  (generated.airspace || []).forEach(newAirspace => {
+    generatedIds.add(newAirspace.id);
+    if (duplicates.has(newAirspace.id)) return;
+
+    const current = data.airspace.find(airspace => airspace.id === newAirspace.id);
+
+    if (!current) {
+      data.airspace.push(JSON.parse(JSON.stringify(newAirspace)));
+      if (newAirspace.group && !data.groups[newAirspace.group] && generated.groups && generated.groups[newAirspace.group]) {
+        data.groups[newAirspace.group] = { ...generated.groups[newAirspace.group] };
+      }
+      report.added.push(newAirspace.id);
+      return;
+    }
+
+    const currentSectors = current.sectors || [];
+    const matched = matchSectors(currentSectors, newAirspace.sectors);
+    current.sectors = newAirspace.sectors.map((sector, index) => {
+      const kept = { ...(matched[index] || {}) };
+      DAH_SECTOR_FIELDS.forEach(field => delete kept[field]);
+      return { ...kept, ...sector };
+    });
+
+    if (newAirspace.activation) {
+      current.activation = newAirspace.activation;
+    } else {
+      delete current.activation;
+    }
+
+    report.updated.push(newAirspace.id);
+  });
+
+  data.airspace.forEach(airspace => {
+    if (!generatedIds.has(airspace.id) && !duplicates.has(airspace.id)) {
+      report.orphaned.push(airspace.id);
+    }
+  });
+
+  return { data, report };
+}
+
+/**
+ * Ids that more than one airspace entry uses
+ */
+function findDuplicateIds(airspaces) {
+  const seen = new Set();
+  const duplicates = new Set();
+
+  airspaces.forEach(airspace => {
+    if (seen.has(airspace.id)) duplicates.add(airspace.id);
+    seen.add(airspace.id);
+  });
+
+  return duplicates;
+}
+
+/**
+ * Pair each new sector with the existing sector whose fields it should keep:
+ * one with the same limits, else the one in the same place if the number of
+ * sectors has not changed. Sectors with no match keep nothing.
+ * @returns {Array} Existing sector (or undefined) for each new sector
+ */
+function matchSectors(currentSectors, newSectors) {
+  const used = new Set();
+  const sameCount = currentSectors.length === newSectors.length;
+
+  const matched = newSectors.map(sector => {
+    const index = currentSectors.findIndex((current, candidate) =>
+      !used.has(candidate) && current.min === sector.min && current.max === sector.max
+    );
+    if (index === -1) return -1;
+    used.add(index);
+    return index;
+  });
+
+  return matched.map((index, position) => {
+    if (index !== -1) return currentSectors[index];
+    return sameCount && !used.has(position) ? currentSectors[position] : undefined;
+  });
+}
+
+/**
+ * Format a merge report as text
+ */
+function formatMergeReport(report) {
+  const section = (title, ids) =>
+    `${title} (${ids.length})${ids.length > 0 ? `:\n${ids.map(id => `• ${id}`).join('\n')}` : ''}`;
+
+  return [
+    section('Added', report.added),
+    section('Updated', report.updated),
+    section('Orphaned (not in this DAH, left unchanged)', report.orphaned),
+    section('Duplicate ids (used more than once, left unchanged)', report.duplicates)
+  ].join('\n\n');
+}
+
+module.exports = {
+  mergeVATGlasses,
+  formatMergeReport
+};
@@ -0,0 +1,146 @@
+/**
+ * OpenAir Exporter
+ * Converts parsed DAH data to the OpenAir airspace format used by gliding
+ * and GA flight software
+ */
+
+const { splitDMS } = require('./geo');
+const { getVolumes } = require('./parser');
+const { isPRDType } = require('./classification');
+const { describeSource } = require('./edition');
+
+// OpenAir classes for airspace types that do not take their stated class
+const TYPE_CLASSES = {
+  RESTRICTED: 'R',
+  PROHIBITED: 'P',
+  DANGER: 'Q',
+  CTR: 'CTR',
+  MILITARY_CTR: 'CTR'
+};
+
+// Controlled airspace with no class in the DAH is written as class C,
+// the class of most Australian CTA steps
+const DEFAULT_CONTROLLED_CLASS = 'C';
+
+/**
+ * Convert parsed DAH data to OpenAir text
+ * @param {Object} parsedData - Data parsed from DAH file
+ * @returns {string} OpenAir file content
+ */
+function convertToOpenAir(parsedData) {
+  const metadata = parsedData.metadata || {};
+  const lines = [
+    `* ${describeSource(metadata)} airspace, generated by DAH Extractor`,
+    `* Parsed ${metadata.parseDate || new Date().toISOString()}`,
+    '* Simulation use only - not for real-world navigation',
+    ''
+  ];
+
+  (parsedData.airspaces || []).forEach(airspace => {
+    const airspaceClass = getOpenAirClass(airspace);
+    if (!airspaceClass) return;
+
+    getVolumes(airspace).forEach(volume => {
+      if (volume.boundaries.length < 3) return;
+
+      lines.push(`AC ${airspaceClass}`);
+      lines.push(`AN ${volume === airspace ? airspace.name : `${airspace.name} ${volume.designator}`}`);
+      lines.push(`AL ${formatOpenAirAltitude(volume.lowerLimit)}`);
+      lines.push(`AH ${formatOpenAirAltitude(volume.upperLimit)}`);
+      lines.push(...buildGeometry(volume), '');
+    });
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Pick the OpenAir class for an airspace, or null for airspace that is not exported (FIRs)
+ */
+function getOpenAirClass(airspace) {
+  if (isPRDType(airspace.type)) {
+    return TYPE_CLASSES[airspace.type];
+  }
+  if (airspace.class) {
+    return airspace.class;
+  }
+  if (TYPE_CLASSES[airspace.type]) {
+    return TYPE_CLASSES[airspace.type];
+  }
+  return airspace.type === 'FIR' ? null : DEFAULT_CONTROLLED_CLASS;
+}
+
+/**
+ * Build the DP/DB/DC records for a volume, using arcs where the DAH had them
+ */
+function buildGeometry(volume) {
+  const boundaries = volume.boundaries;
+  const arcs = volume.arcs || [];
+
+  // A single circle is written as a centre and radius
+  const circle = arcs.find(arc => arc.type === 'circle' && arc.startIndex === 0 && arc.endIndex === boundaries.length - 1);
+  if (circle) {
+    return [
+      `V X=${formatOpenAirCoordinate(circle.centre)}`,
+      `DC ${formatNumber(circle.radiusNm)}`
+    ];
+  }
+
+  const records = [];
+
+  for (let i = 0; i < boundaries.length; i++) {
+    const arc = arcs.find(a => a.type === 'arc' && a.startIndex === i);
+
+    if (arc) {
+      records.push(`V D=${arc.clockwise ? '+' : '-'}`);
+      records.push(`V X=${formatOpenAirCoordinate(arc.centre)}`);
+      records.push(`DB ${formatOpenAirCoordinate(boundaries[arc.startIndex])}, ${formatOpenAirCoordinate(boundaries[arc.endIndex])}`);
+      i = arc.endIndex;
+      continue;
+    }
+
+    records.push(`DP ${formatOpenAirCoordinate(boundaries[i])}`);
+  }
+
+  return records;
+}
+
+/**
+ * Format a point as OpenAir "DD:MM:SS S DDD:MM:SS E"
+ */
+function formatOpenAirCoordinate(point) {
+  const format = (decimal, isLat) => {
+    const { negative, degrees, minutes, seconds } = splitDMS(decimal);
+    const hemisphere = isLat ? (negative ? 'S' : 'N') : (negative ? 'W' : 'E');
+
+    return `${degrees.toString().padStart(isLat ? 2 : 3, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')} ${hemisphere}`;
+  };
+
+  return `${format(point.latitude, true)} ${format(point.longitude, false)}`;
+}
+
+/**
+ * Format a structured altitude as an OpenAir AL/AH value
+ */
+function formatOpenAirAltitude(altitude) {
+  if (!altitude) return 'SFC';
+
+  switch (altitude.datum) {
+    case 'UNL': return 'UNL';
+    case 'SFC': return 'SFC';
+    case 'FL': return `FL${altitude.value}`;
+    case 'AGL': return `${altitude.value}ft AGL`;
+    default: return `${altitude.value}ft MSL`;
+  }
+}
+
+/**
+ * Format a number without needless trailing decimals
+ */
+function formatNumber(value) {
+  return Number(value.toFixed(3)).toString();
+}
+
+module.exports = {
+  convertToOpenAir
+};
@@ -3,35 +3,106 @@
  * Parses Designated Airspace Handbook PDF files from Air Services Australia
  */
 
-const pdf = require('pdf-parse');
+const { densifyArc, densifyCircle, toNauticalMiles, distanceNm } = require('./geo');
+const { ALTITUDE_SOURCE, parseAltitude, toFlightLevel } = require('./altitude');
+const { parseSchedule } = require('./schedule');
+const { classifyAirspace } = require('./classification');
+const { extractFrequencies, parseUnit, parseFrequencyTableRow, unitKey } = require('./units');
+const { addDiagnostic } = require('./diagnostics');
+const { extractPdfPages } = require('./pdf-layout');
+const { extractEdition } = require('./edition');
+const { loadReferenceGeometry, registerFirBoundaries, findReferencePath } = require('./reference-geometry');
+
+// Default maximum distance between generated arc and circle points
+const DEFAULT_ARC_SPACING_NM = 1;
+
+// Arc start and end points further than this from the stated radius point to a misread centre or radius
+const ARC_RADIUS_TOLERANCE_NM = 0.5;
+
+// Coordinate pair as written inside arc and circle clauses
+const COORD_SOURCE = String.raw`\d{7}[NS]?\s+\d{8}[EW]?|\d+°\d+'\d+(?:\.\d+)?"?[NS]\s+\d+°\d+'\d+(?:\.\d+)?"?[EW]`;
+
+// e.g. "clockwise arc of radius 30NM centred on 3356450S 15110230E to 3410000S 15120000E"
+const ARC_PATTERN = new RegExp(
+  String.raw`(anti-?clockwise|counter-?clockwise|clockwise)\s+arc\s+(?:of\s+)?(?:radius\s+)?([\d.]+)\s*(NM|KM|M)\s+(?:radius\s+)?cent(?:red|ered|re|er)\s+on\s+(.+?)\s+to\s+(${COORD_SOURCE})`,
+  'gi'
+);
+
+// e.g. "circle radius 5NM centred on 3356450S 15110230E" or "... centred on ML VOR"
+const CIRCLE_PATTERN = new RegExp(
+  String.raw`circle\s+(?:of\s+)?(?:radius\s+)?([\d.]+)\s*(NM|KM|M)\s+(?:radius\s+)?cent(?:red|ered|re|er)\s+on\s+(.+?)(?=\s*(?:$|[,;]|\.(?:\s|$)|\bthen\b))`,
+  'gi'
+);
+
+// Restricted, prohibited and danger area titles, e.g. "R264A SHOALWATER BAY"
+const PRD_TITLE_PATTERN = /^([RPD]\d{3}[A-Z]?)\s+([A-Z].*)$/;
+
+// Lettered sub-volume prefix, e.g. "A: 3356450S ..." or "B) 8500 - FL245"
+const VOLUME_PREFIX_PATTERN = /^([A-Z])\s*[:)]\s*/;
+
+// Text that looks like part of a coordinate, e.g. "3356450S" or "33°56'45"S"
+const COORDINATE_FRAGMENT_PATTERN = /\b\d{6,9}(?:\.\d+)?[NSEW]?\b|\d+°[\d'".\s]*[NSEW]/g;
+
+// A section heading such as "CONTROLLING AUTHORITY:"
+const HEADING_PATTERN = /^[A-Z][A-Z ]+:/;
+
+// e.g. "then along the coastline to ..." or "then along the YBBB/YMMM FIR boundary to ..."
+const REFERENCE_PATTERN = /along\s+(?:the\s+)?(?:(coast(?:line)?)|([A-Z]{4}(?:\s*\/\s*[A-Z]{4})*|[A-Z][A-Z ]*?)\s+FIR\s+boundary)/gi;
 
 /**
  * Parse a DAH file content and extract airspace data
  * @param {string|Buffer} fileContent - The content of the DAH file
+ * @param {Object} [options] - Parser options
+ * @param {number} [options.arcSpacingNm] - Maximum distance between generated arc points
+ * @param {Object} [options.navaids] - Known navaid positions keyed by name, used as arc centres
+ * @param {Object} [options.referenceGeometry] - Coastline and FIR boundary store, defaults to the bundled data
+ * @param {Function} [options.onProgress] - Called as each PDF page is laid out, with
+ *   {stage: 'pages', current, total}, and as each airspace is read, with
+ *   {stage: 'airspaces', current, total, airspaces, name} where current and total count lines
  * @returns {Object} Parsed airspace data
  */
-async function parseDAHFile(fileContent) {
+async function parseDAHFile(fileContent, options = {}) {
   try {
     // Initialize the parsed data structure
     const parsedData = {
       airspaces: [],
+      warnings: [],
+      unresolvedReferences: [],
+      diagnostics: [],
       metadata: {
         parseDate: new Date().toISOString(),
         source: 'Air Services Australia DAH'
       }
     };
 
-    let textContent = fileContent;
+    let pages;
+    let strippedLines = [];
 
-    // If it's a Buffer (PDF file), extract text
-    if (Buffer.isBuffer(fileContent)) {
-      const data = await pdf(fileContent);
-      textContent = data.text;
+    // If it's a Buffer, lay out PDF pages from their glyph positions and read anything else as plain text
+    if (Buffer.isBuffer(fileContent) && fileContent.subarray(0, 5).toString('latin1') === '%PDF-') {
+      ({ pages, strippedLines } = await extractPdfPages(fileContent, options.onProgress));
+    } else {
+      // Plain text pages are separated by form feeds
+      pages = fileContent.toString('utf-8').split('\f').map(page => page.split('\n'));
     }
 
-    // Parse the text content
-    const airspaces = parseAirspaceText(textContent);
+    // Parse the text content, taking the AIRAC cycle and effective date from the front matter
+    const sourceLines = toSourceLines(pages);
+    Object.assign(parsedData.metadata, extractEdition(sourceLines));
+
+    const context = createParseContext(options);
+
+    // A damaged reference cache is left out of the parse rather than failing it
+    (context.references.unreadable || []).forEach(({ filePath, message }) => {
+      addDiagnostic(context.diagnostics, 'UNREADABLE_REFERENCE', { text: filePath }, message);
+    });
+    strippedLines.forEach(source => addDiagnostic(context.diagnostics, 'RUNNING_LINE', source));
+
+    const airspaces = parseAirspaceText(sourceLines, context);
     parsedData.airspaces = airspaces;
+    parsedData.warnings = context.warnings;
+    parsedData.unresolvedReferences = context.unresolvedReferences;
+    parsedData.diagnostics = context.diagnostics;
 
     return parsedData;
   } catch (error) {
@@ -39,165 +110,645 @@ async function parseDAHFile(fileContent) {
   }
 }
 
+/**
+ * Turn page lines into trimmed lines that remember their page and line number
+ * @param {string[][]} pages - Lines of each page
+ * @returns {Array} Lines as {text, page, line}, page and line counting from 1
+ */
+function toSourceLines(pages) {
+  return pages.flatMap((pageLines, pageIndex) =>
+    pageLines.map((text, lineIndex) => ({
+      text: text.trim(),
+      page: pageIndex + 1,
+      line: lineIndex + 1
+    }))
+  );
+}
+
+/**
+ * Create the state shared by every airspace in a single parse
+ */
+function createParseContext(options = {}) {
+  const navaids = new Map();
+
+  Object.entries(options.navaids || {}).forEach(([name, position]) => {
+    navaids.set(normaliseNavaidName(name), position);
+  });
+
+  return {
+    arcSpacingNm: options.arcSpacingNm > 0 ? options.arcSpacingNm : DEFAULT_ARC_SPACING_NM,
+    navaids,
+    references: options.referenceGeometry || loadReferenceGeometry(),
+    pendingReferences: [],
+    unresolvedReferences: [],
+    unitFrequencies: new Map(),
+    diagnostics: [],
+    warnings: [],
+    onProgress: options.onProgress || null
+  };
+}
+
 /**
  * Parse airspace text content
+ * @param {Array} sourceLines - Lines as {text, page, line}, see toSourceLines
+ * @param {Object} [context] - Parse context
  */
-function parseAirspaceText(text) {
+function parseAirspaceText(sourceLines, context = createParseContext()) {
   const airspaces = [];
-  const lines = text.split('\n').map(l => l.trim());
 
   let currentAirspace = null;
+  let currentTitle = null;
   let readingLateralLimits = false;
   let readingVerticalLimits = false;
+  let readingHours = false;
+  let lateralText = [];
+  let lateralTarget = null;
+  let linesRead = 0;
+
+  // Lateral limits are collected first so arc clauses can span several lines.
+  // Coordinate fragments they could not use, and arcs whose points are off
+  // their radius, are logged against their line.
+  const finishLateralLimits = () => {
+    if (lateralTarget && lateralText.length > 0) {
+      const problems = parseLateralLimits(lateralText.map(part => part.text).join(' '), lateralTarget, context);
+
+      problems.forEach(problem => {
+        let offset = 0;
+        const part = lateralText.find(candidate => {
+          offset += candidate.text.length + 1;
+          return problem.index < offset;
+        });
+        addDiagnostic(context.diagnostics, problem.kind || 'UNMATCHED_COORDINATE', part.source, problem.message || `"${problem.text}"`);
+      });
+    }
+    lateralText = [];
+  };
+
+  // Airspaces without lateral limits cannot be drawn, so they are left out
+  const saveAirspace = () => {
+    if (!currentAirspace) return;
+
+    if (hasBoundaries(currentAirspace)) {
+      airspaces.push(currentAirspace);
+      if (context.onProgress) {
+        context.onProgress({
+          stage: 'airspaces',
+          current: linesRead,
+          total: sourceLines.length,
+          airspaces: airspaces.length,
+          name: currentAirspace.name
+        });
+      }
+    } else {
+      addDiagnostic(context.diagnostics, 'DROPPED_AIRSPACE', currentTitle, 'no lateral limits were found');
+    }
+  };
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
+  // Frequencies from a heading line or controlling authority, without repeats
+  const addFrequencies = (frequencies) => {
+    frequencies.forEach(frequency => {
+      if (!currentAirspace.frequencies.includes(frequency)) {
+        currentAirspace.frequencies.push(frequency);
+      }
+    });
+  };
+
+  // A lettered line starts the lateral limits of that sub-volume
+  const addLateralText = (text, source) => {
+    const volumeMatch = text.match(VOLUME_PREFIX_PATTERN);
+    if (volumeMatch) {
+      finishLateralLimits();
+      lateralTarget = getVolume(currentAirspace, volumeMatch[1]);
+      text = text.slice(volumeMatch[0].length);
+    }
+    if (text) {
+      lateralText.push({ text, source });
+    }
+  };
+
+  for (const source of sourceLines) {
+    linesRead++;
+    const line = source.text;
     if (!line) continue;
 
-    // Detect new airspace by title pattern (e.g., "YBBB-YMMM/MELBOURNE FIR CTA A1")
+    // Detect new airspace by title pattern (e.g., "YBBB-YMMM/MELBOURNE FIR CTA A1" or "R264A SHOALWATER BAY")
     const titleMatch = line.match(/^([A-Z]{4}(?:-[A-Z]{4})?(?:\/[A-Z]{4})?)\/(.+?)(?:\s+CTA|CTR|TMA|CLASS)?\s*([A-Z]?\d+)?$/);
-    if (titleMatch) {
+    const prdTitleMatch = !titleMatch && line.match(PRD_TITLE_PATTERN);
+    if (titleMatch || prdTitleMatch) {
+      finishLateralLimits();
+
       // Save previous airspace
-      if (currentAirspace && currentAirspace.boundaries.length > 0) {
-        airspaces.push(currentAirspace);
-      }
+      saveAirspace();
+      currentTitle = source;
 
       // Start new airspace
-      const locations = titleMatch[1].split(/[-\/]/).filter(l => l.length === 4);
-      const name = titleMatch[2].trim();
-      const suffix = titleMatch[3] || '';
+      let id, name, locations;
+      if (titleMatch) {
+        locations = titleMatch[1].split(/[-\/]/).filter(l => l.length === 4);
+        const suffix = titleMatch[3] || '';
+        name = `${titleMatch[2].trim()} ${suffix}`.trim();
+        id = `${titleMatch[1]}/${name}`;
+      } else {
+        locations = [];
+        name = `${prdTitleMatch[1]} ${prdTitleMatch[2].trim()}`;
+        id = name;
+      }
+
+      const classification = classifyAirspace(line);
 
       currentAirspace = {
-        id: `${titleMatch[1]}/${name} ${suffix}`.trim(),
-        name: `${name} ${suffix}`.trim(),
+        id,
+        name,
+        title: line,
+        type: classification.type,
+        class: classification.class,
+        designator: classification.designator,
         locations: locations,
         boundaries: [],
-        upperLimit: 'UNL',
-        lowerLimit: 'GND',
+        arcs: [],
+        upperLimit: parseAltitude('UNL'),
+        lowerLimit: parseAltitude('GND'),
         controllingAuthority: null,
+        controllingUnit: null,
         frequencies: [],
-        hoursOfOperation: null
+        hoursOfOperation: null,
+        volumes: []
       };
 
       readingLateralLimits = false;
       readingVerticalLimits = false;
+      readingHours = false;
       continue;
     }
 
-    if (!currentAirspace) continue;
+    // Rows of a unit frequency table, e.g. "BRISBANE CENTRE 124.3 128.6"
+    if (!readingLateralLimits && !readingVerticalLimits && !readingHours) {
+      const tableRow = parseFrequencyTableRow(line);
+      if (tableRow) {
+        context.unitFrequencies.set(unitKey(tableRow.unit), tableRow.frequencies);
+        continue;
+      }
+    }
+
+    if (!currentAirspace) {
+      addDiagnostic(context.diagnostics, 'SKIPPED_LINE', source, 'before the first airspace');
+      continue;
+    }
+
+    // Airspace class given in its own line, e.g. "CLASS: C"
+    const classMatch = line.match(/^(?:AIRSPACE\s+)?CLASS:?\s*([A-G])$/i);
+    if (classMatch) {
+      finishLateralLimits();
+      currentAirspace.class = classMatch[1].toUpperCase();
+      readingLateralLimits = false;
+      readingVerticalLimits = false;
+      readingHours = false;
+      continue;
+    }
 
     // Detect LATERAL LIMITS section
     if (line.match(/^LATERAL\s+LIMITS:/i)) {
+      finishLateralLimits();
       readingLateralLimits = true;
       readingVerticalLimits = false;
+      readingHours = false;
+      lateralTarget = currentAirspace;
 
-      // Extract coordinates from the same line if present
+      // Keep coordinates from the same line if present
       const coordsOnSameLine = line.replace(/^LATERAL\s+LIMITS:\s*/i, '').trim();
       if (coordsOnSameLine) {
-        extractCoordinatesFromLine(coordsOnSameLine, currentAirspace);
+        addLateralText(coordsOnSameLine, source);
       }
       continue;
     }
 
     // Detect VERTICAL LIMITS section
     if (line.match(/^VERTICAL\s+LIMITS:/i)) {
+      finishLateralLimits();
       readingLateralLimits = false;
       readingVerticalLimits = true;
+      readingHours = false;
 
       // Extract limits from the same line
       const limitsText = line.replace(/^VERTICAL\s+LIMITS:\s*/i, '').trim();
-      extractVerticalLimits(limitsText, currentAirspace);
+      extractVolumeLimits(limitsText, currentAirspace);
       continue;
     }
 
     // Detect HOURS OF ACTIVATION
     if (line.match(/^HOURS?\s+OF\s+ACTIVATION:/i)) {
+      finishLateralLimits();
       const hours = line.replace(/^HOURS?\s+OF\s+ACTIVATION:\s*/i, '').trim();
       currentAirspace.hoursOfOperation = hours;
       readingLateralLimits = false;
       readingVerticalLimits = false;
+      readingHours = true;
       continue;
     }
 
     // Detect CONTROLLING AUTHORITY
     if (line.match(/^CONTROLLING\s+AUTHORITY:/i)) {
+      finishLateralLimits();
       const authority = line.replace(/^CONTROLLING\s+AUTHORITY:\s*/i, '').trim();
       currentAirspace.controllingAuthority = authority;
+
+      // The authority is often the unit itself, e.g. "BRISBANE CENTRE 124.3"
+      const { frequencies, rest } = extractFrequencies(authority);
+      addFrequencies(frequencies);
+      currentAirspace.controllingUnit = currentAirspace.controllingUnit || parseUnit(rest);
+
+      readingLateralLimits = false;
+      readingVerticalLimits = false;
+      readingHours = false;
+      continue;
+    }
+
+    // Detect the controlling unit or its callsign, e.g. "UNIT: MELBOURNE CENTRE"
+    if (line.match(/^(?:(?:CONTROLLING|ATS)\s+UNIT|UNIT|CALLSIGN):/i)) {
+      finishLateralLimits();
+      const { frequencies, rest } = extractFrequencies(line.replace(/^[^:]*:\s*/, ''));
+      addFrequencies(frequencies);
+      currentAirspace.controllingUnit = parseUnit(rest) || currentAirspace.controllingUnit;
+      readingLateralLimits = false;
+      readingVerticalLimits = false;
+      readingHours = false;
+      continue;
+    }
+
+    // Detect frequencies, e.g. "FREQUENCY: 124.3 MHZ" or "HF: 5643 KHZ"
+    if (line.match(/^(?:(?:VHF|HF)\s+)?(?:FREQUENC(?:Y|IES)|FREQ)\s*:|^(?:VHF|HF)\s*:/i)) {
+      finishLateralLimits();
+      addFrequencies(extractFrequencies(line.replace(/^[^:]*:\s*/, '')).frequencies);
+      readingLateralLimits = false;
+      readingVerticalLimits = false;
+      readingHours = false;
+      continue;
+    }
+
+    // Hours of activation can run over several lines, up to the next heading
+    if (readingHours) {
+      if (HEADING_PATTERN.test(line)) {
+        readingHours = false;
+      } else {
+        currentAirspace.hoursOfOperation = `${currentAirspace.hoursOfOperation} ${line}`.trim();
+        continue;
+      }
+    }
+
+    // Any other heading ends the current section
+    if (HEADING_PATTERN.test(line) && !VOLUME_PREFIX_PATTERN.test(line)) {
+      finishLateralLimits();
+      addDiagnostic(context.diagnostics, 'UNRECOGNISED_HEADER', source);
       readingLateralLimits = false;
       readingVerticalLimits = false;
       continue;
     }
 
-    // If we're reading lateral limits, extract coordinates
+    // If we're reading lateral limits, keep the line for later
     if (readingLateralLimits) {
-      extractCoordinatesFromLine(line, currentAirspace);
+      addLateralText(line, source);
+      continue;
     }
 
     // If we're reading vertical limits
     if (readingVerticalLimits) {
-      extractVerticalLimits(line, currentAirspace);
+      extractVolumeLimits(line, currentAirspace);
+      continue;
     }
+
+    addDiagnostic(context.diagnostics, 'SKIPPED_LINE', source, `not part of a section of ${currentAirspace.name}`);
   }
 
+  finishLateralLimits();
+
   // Save last airspace
-  if (currentAirspace && currentAirspace.boundaries.length > 0) {
-    airspaces.push(currentAirspace);
-  }
+  saveAirspace();
+
+  flagInexactLimits(airspaces, context);
+
+  // Add the unit's frequencies from the frequency table after any given in the entry
+  airspaces.forEach(airspace => {
+    if (!airspace.controllingUnit) return;
+
+    (context.unitFrequencies.get(unitKey(airspace.controllingUnit)) || []).forEach(frequency => {
+      if (!airspace.frequencies.includes(frequency)) {
+        airspace.frequencies.push(frequency);
+      }
+    });
+  });
+
+  airspaces.forEach(airspace => {
+    airspace.schedule = parseSchedule(airspace.hoursOfOperation);
+  });
+
+  // FIRs parsed from this document can be followed by other airspaces
+  registerFirBoundaries(context.references, airspaces);
+  resolveReferences(context);
 
   return airspaces;
 }
 
 /**
- * Extract coordinates from a line of text
+ * Parse a lateral limits description into boundary points.
+ * Coordinate pairs are taken as they are; arc and circle clauses are
+ * turned into points spaced no more than context.arcSpacingNm apart.
+ * @returns {Array} Problems found, as {index, text} for coordinate-like
+ *   fragments that were not used, or {index, text, kind, message} for others
  */
-function extractCoordinatesFromLine(line, airspace) {
-  // Pattern for DMS coordinates: DDMMSSS DDDMMSSS or DD°MM'SS"D DDD°MM'SS"D
-  // Examples: "3322225 14822227E", "332°22'25" 148°22'27"E"
+function parseLateralLimits(text, airspace, context) {
+  const clauses = [];
+
+  for (const match of text.matchAll(ARC_PATTERN)) {
+    clauses.push({
+      type: 'arc',
+      index: match.index,
+      end: match.index + match[0].length,
+      clockwise: !/^(anti|counter)/i.test(match[1]),
+      radiusNm: toNauticalMiles(parseFloat(match[2]), match[3]),
+      centreText: match[4],
+      endPoint: findCoordinates(match[5])[0] || null,
+      endText: { index: match.index + match[0].length - match[5].length, text: match[5] },
+      source: match[0]
+    });
+  }
 
-  // First try format: DDMMSSS DDDMMSSE (like "3322225 14822227E")
-  const pattern1 = /(\d{7})([NS])?\s+(\d{8})([EW])/g;
-  let matches = [...line.matchAll(pattern1)];
+  for (const match of text.matchAll(CIRCLE_PATTERN)) {
+    const index = match.index;
+    if (clauses.some(clause => index >= clause.index && index < clause.end)) continue;
+
+    clauses.push({
+      type: 'circle',
+      index,
+      end: index + match[0].length,
+      radiusNm: toNauticalMiles(parseFloat(match[1]), match[2]),
+      centreText: match[3],
+      source: match[0]
+    });
+  }
 
-  if (matches.length > 0) {
-    matches.forEach(match => {
-      const lat = parseDMSCoordinate(match[1], match[2] || 'S'); // Default to S for southern hemisphere
-      const lon = parseDMSCoordinate(match[3], match[4]);
+  for (const match of text.matchAll(REFERENCE_PATTERN)) {
+    clauses.push({
+      type: 'reference',
+      index: match.index,
+      end: match.index + match[0].length,
+      reference: match[1]
+        ? { kind: 'coastline', names: [] }
+        : { kind: 'fir', names: match[2].split('/').map(name => name.trim()) },
+      source: match[0]
+    });
+  }
 
-      if (lat !== null && lon !== null) {
-        airspace.boundaries.push({ latitude: lat, longitude: lon });
+  // Coordinates that belong to a clause (centres, arc end points) are not boundary points
+  const points = findCoordinates(text)
+    .filter(coord => !clauses.some(clause => coord.index >= clause.index && coord.index < clause.end))
+    .map(coord => ({ type: 'point', ...coord }));
+
+  const segments = [...points, ...clauses].sort((a, b) => a.index - b.index);
+
+  const isUsed = (index) => segments.some(segment => index >= segment.index && index < segment.end);
+  const problems = [...text.matchAll(COORDINATE_FRAGMENT_PATTERN)]
+    .filter(match => !isUsed(match.index))
+    .map(match => ({ index: match.index, text: match[0].trim() }));
+
+  // An arc end point that cannot be read (e.g. it lacks its E/W) is reported, not guessed
+  clauses
+    .filter(clause => clause.type === 'arc' && !clause.endPoint)
+    .forEach(clause => problems.push(clause.endText));
+
+  segments.forEach(segment => {
+    if (segment.type === 'point') {
+      airspace.boundaries.push({ latitude: segment.latitude, longitude: segment.longitude, dms: segment.dms });
+      return;
+    }
+
+    // Filled in once every airspace (and so every FIR) has been read
+    if (segment.type === 'reference') {
+      context.pendingReferences.push({
+        airspace,
+        afterIndex: airspace.boundaries.length - 1,
+        reference: segment.reference,
+        source: segment.source
+      });
+      return;
+    }
+
+    const centre = resolveCentre(segment.centreText, context);
+    if (!centre) {
+      context.warnings.push(`${airspace.id}: unknown centre "${segment.centreText.trim()}" in "${segment.source}"`);
+      if (segment.endPoint) {
+        airspace.boundaries.push({ latitude: segment.endPoint.latitude, longitude: segment.endPoint.longitude });
+      }
+      return;
+    }
+
+    if (segment.type === 'circle') {
+      const startIndex = airspace.boundaries.length;
+      airspace.boundaries.push(...densifyCircle(centre, segment.radiusNm, context.arcSpacingNm));
+      airspace.arcs.push({
+        type: 'circle',
+        centre,
+        radiusNm: segment.radiusNm,
+        clockwise: true,
+        startIndex,
+        endIndex: airspace.boundaries.length - 1
+      });
+      return;
+    }
+
+    if (!segment.endPoint) {
+      context.warnings.push(`${airspace.id}: unreadable end point in "${segment.source}"`);
+      return;
+    }
+
+    const start = airspace.boundaries[airspace.boundaries.length - 1];
+    if (!start) {
+      context.warnings.push(`${airspace.id}: arc has no start point in "${segment.source}"`);
+      airspace.boundaries.push({ latitude: segment.endPoint.latitude, longitude: segment.endPoint.longitude });
+      return;
+    }
+
+    // The arc is still drawn, but a jump in the boundary is worth checking
+    [['start', start], ['end', segment.endPoint]].forEach(([label, point]) => {
+      const distance = distanceNm(centre, point);
+      if (Math.abs(distance - segment.radiusNm) > ARC_RADIUS_TOLERANCE_NM) {
+        problems.push({
+          index: segment.index,
+          text: segment.source,
+          kind: 'ARC_RADIUS_MISMATCH',
+          message: `${label} point is ${distance.toFixed(1)}NM from the centre, not ${segment.radiusNm}NM`
+        });
       }
     });
-    return;
+
+    const startIndex = airspace.boundaries.length - 1;
+    airspace.boundaries.push(
+      ...densifyArc(centre, segment.radiusNm, start, segment.endPoint, segment.clockwise, context.arcSpacingNm)
+    );
+    airspace.arcs.push({
+      type: 'arc',
+      centre,
+      radiusNm: segment.radiusNm,
+      clockwise: segment.clockwise,
+      startIndex,
+      endIndex: airspace.boundaries.length - 1
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Insert the points of "along the coastline" and "along the FIR boundary"
+ * segments. References that cannot be followed are reported and the
+ * segment is left as a straight line.
+ */
+function resolveReferences(context) {
+  // Work backwards so inserting points does not move pending indices
+  const pending = [...context.pendingReferences].sort((a, b) => b.afterIndex - a.afterIndex);
+
+  pending.forEach(({ airspace, afterIndex, reference, source }) => {
+    const from = airspace.boundaries[afterIndex];
+    const to = airspace.boundaries[afterIndex + 1] || airspace.boundaries[0];
+
+    const result = from && to
+      ? findReferencePath(context.references, reference, from, to)
+      : { error: 'segment has no start point' };
+
+    if (result.error) {
+      context.unresolvedReferences.push({ airspace: airspace.id, reference: source, reason: result.error });
+      context.warnings.push(`${airspace.id}: could not follow "${source}" (${result.error})`);
+      return;
+    }
+
+    const points = result.points.map(({ latitude, longitude }) => ({ latitude, longitude }));
+    airspace.boundaries.splice(afterIndex + 1, 0, ...points);
+
+    airspace.arcs.forEach(arc => {
+      if (arc.startIndex > afterIndex) arc.startIndex += points.length;
+      if (arc.endIndex > afterIndex) arc.endIndex += points.length;
+    });
+  });
+
+  context.pendingReferences = [];
+}
+
+/**
+ * Resolve an arc or circle centre, either a coordinate or a named navaid.
+ * Navaids given with a coordinate (e.g. "ML VOR (3740280S 14450340E)") are
+ * remembered so later references by name alone can be resolved.
+ */
+function resolveCentre(centreText, context) {
+  const coords = findCoordinates(centreText);
+  const name = normaliseNavaidName(
+    (coords.length > 0 ? centreText.slice(0, coords[0].index) : centreText).replace(/[()]/g, ' ')
+  );
+
+  if (coords.length > 0) {
+    const centre = { latitude: coords[0].latitude, longitude: coords[0].longitude };
+    if (name) {
+      context.navaids.set(name, centre);
+    }
+    return centre;
   }
 
-  // Try format with degrees/minutes/seconds symbols
-  const pattern2 = /(\d+)°(\d+)'(\d+)"?([NS])\s+(\d+)°(\d+)'(\d+)"?([EW])/g;
-  matches = [...line.matchAll(pattern2)];
+  return context.navaids.get(name) || null;
+}
+
+/**
+ * Normalise a navaid name for lookup
+ */
+function normaliseNavaidName(name) {
+  return name.toUpperCase().replace(/\s+/g, ' ').replace(/^[\s,.:;-]+|[\s,.:;-]+$/g, '');
+}
 
-  if (matches.length > 0) {
-    matches.forEach(match => {
-      const lat = dmsToDecimal(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]), match[4]);
-      const lon = dmsToDecimal(parseInt(match[5]), parseInt(match[6]), parseInt(match[7]), match[8]);
+/**
+ * Find coordinate pairs in a piece of text, with where they start and end in the text
+ */
+function findCoordinates(text) {
+  // Pattern for DMS coordinates: DDMMSSS DDDMMSSS or DD°MM'SS"D DDD°MM'SS"D
+  // Examples: "3322225 14822227E", "332°22'25" 148°22'27"E"
+  const found = [];
+
+  // Each pair keeps the coordinates as written (with their hemisphere) in dms,
+  // so formatted output can be checked against the DAH
+
+  // Format: DDMMSSS DDDMMSSE (like "3322225 14822227E")
+  const pattern1 = /(?<!\d)(\d{7})([NS])?\s+(\d{8})([EW])/g;
+  for (const match of text.matchAll(pattern1)) {
+    const lat = parseDMSCoordinate(match[1], match[2] || 'S'); // Default to S for southern hemisphere
+    const lon = parseDMSCoordinate(match[3], match[4]);
+
+    if (lat !== null && lon !== null) {
+      found.push({
+        latitude: lat,
+        longitude: lon,
+        dms: { latitude: match[1] + (match[2] || 'S'), longitude: match[3] + match[4] },
+        index: match.index,
+        end: match.index + match[0].length
+      });
+    }
+  }
 
-      airspace.boundaries.push({ latitude: lat, longitude: lon });
+  // Format with degrees/minutes/seconds symbols
+  const pattern2 = /(\d+)°(\d+)'(\d+(?:\.\d+)?)"?([NS])\s+(\d+)°(\d+)'(\d+(?:\.\d+)?)"?([EW])/g;
+  for (const match of text.matchAll(pattern2)) {
+    const lat = dmsToDecimal(parseInt(match[1]), parseInt(match[2]), parseFloat(match[3]), match[4]);
+    const lon = dmsToDecimal(parseInt(match[5]), parseInt(match[6]), parseFloat(match[7]), match[8]);
+
+    found.push({
+      latitude: lat,
+      longitude: lon,
+      dms: { latitude: `${match[1]}°${match[2]}'${match[3]}"${match[4]}`, longitude: `${match[5]}°${match[6]}'${match[7]}"${match[8]}` },
+      index: match.index,
+      end: match.index + match[0].length
     });
-    return;
   }
 
-  // Try simpler pattern: DDMMSSS (CBDME format in the image)
-  const pattern3 = /(\d{7})/g;
-  const coords = [...line.matchAll(pattern3)];
+  // Simpler pattern: DDMMSSS pairs without hemispheres (CBDME format in the image).
+  // Only the stretches of text between the pairs found above are searched, each
+  // on its own, so one pair of another format does not hide the rest; whole
+  // numbers only, so an 8 digit longitude missing its E/W is not read as 7 digits
+  const pattern3 = /(?<!\d)(\d{7})(?!\d)/g;
+  getUnmatchedStretches(text, found).forEach(({ start, end }) => {
+    const coords = [...text.slice(start, end).matchAll(pattern3)];
 
-  if (coords.length >= 2) {
     for (let i = 0; i < coords.length - 1; i += 2) {
       const lat = parseDMSCoordinate(coords[i][1], 'S');
       const lon = parseDMSCoordinate(coords[i + 1][1], 'E');
 
       if (lat !== null && lon !== null) {
-        airspace.boundaries.push({ latitude: lat, longitude: lon });
+        found.push({
+          latitude: lat,
+          longitude: lon,
+          dms: { latitude: `${coords[i][1]}S`, longitude: `${coords[i + 1][1]}E` },
+          index: start + coords[i].index,
+          end: start + coords[i + 1].index + coords[i + 1][1].length
+        });
       }
     }
+  });
+
+  return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * The stretches of text outside the given matches, as {start, end}
+ */
+function getUnmatchedStretches(text, matches) {
+  const stretches = [];
+  let start = 0;
+
+  [...matches].sort((a, b) => a.index - b.index).forEach(match => {
+    if (match.index > start) {
+      stretches.push({ start, end: match.index });
+    }
+    start = Math.max(start, match.end);
+  });
+  if (start < text.length) {
+    stretches.push({ start, end: text.length });
   }
+
+  return stretches;
 }
 
 /**
@@ -239,30 +790,116 @@ function dmsToDecimal(degrees, minutes, seconds, direction) {
   return decimal;
 }
 
+/**
+ * Find or create a lettered sub-volume of an airspace
+ */
+function getVolume(airspace, designator) {
+  let volume = airspace.volumes.find(v => v.designator === designator);
+
+  if (!volume) {
+    volume = {
+      id: `${airspace.id} ${designator}`,
+      designator,
+      boundaries: [],
+      arcs: [],
+      upperLimit: null,
+      lowerLimit: null
+    };
+    airspace.volumes.push(volume);
+  }
+
+  return volume;
+}
+
+/**
+ * Check whether an airspace, or any of its sub-volumes, has a lateral boundary
+ */
+function hasBoundaries(airspace) {
+  return airspace.boundaries.length > 0 || airspace.volumes.some(v => v.boundaries.length > 0);
+}
+
+/**
+ * Extract vertical limits that may be split into lettered sub-volumes,
+ * e.g. "A: 4500 - FL245, B: 8500 - FL245"
+ */
+function extractVolumeLimits(text, airspace) {
+  const parts = text.split(/(?:^|[,;]?\s+)(?=[A-Z]\s*[:)]\s*(?:SFC|GND|FL\d|\d))/);
+  const lettered = parts.filter(part => VOLUME_PREFIX_PATTERN.test(part));
+
+  if (lettered.length === 0) {
+    extractVerticalLimits(text, airspace);
+    return;
+  }
+
+  lettered.forEach(part => {
+    const designator = part.match(VOLUME_PREFIX_PATTERN)[1];
+    extractVerticalLimits(part.replace(VOLUME_PREFIX_PATTERN, ''), getVolume(airspace, designator));
+  });
+}
+
 /**
  * Extract vertical limits
  */
 function extractVerticalLimits(text, airspace) {
-  // Pattern: "FL180 - FL245" or "SFC - 1500" etc.
-  const rangeMatch = text.match(/(SFC|GND|FL\d+|\d+)\s*-\s*(UNL|FL\d+|\d+)/i);
+  // Pattern: "FL180 - FL245", "SFC - 1500" or "4500FT AMSL to FL245"
+  const rangeMatch = text.match(new RegExp(`(${ALTITUDE_SOURCE})\\s*(?:-|\\bTO\\b)\\s*(${ALTITUDE_SOURCE})`, 'i'));
 
   if (rangeMatch) {
-    airspace.lowerLimit = rangeMatch[1];
-    airspace.upperLimit = rangeMatch[2];
+    airspace.lowerLimit = parseAltitude(rangeMatch[1]);
+    airspace.upperLimit = parseAltitude(rangeMatch[2]);
     return;
   }
 
   // Single limit
-  if (text.match(/^(FL\d+|UNL|SFC|GND)/i)) {
+  const singleMatch = text.match(/^(FL\s*\d+|UNL|SFC|GND)/i);
+  if (singleMatch) {
     // Determine if it's upper or lower based on context
-    if (text.match(/^(SFC|GND)/i)) {
-      airspace.lowerLimit = text;
+    if (singleMatch[1].match(/^(SFC|GND)/i)) {
+      airspace.lowerLimit = parseAltitude(singleMatch[1]);
     } else {
-      airspace.upperLimit = text;
+      airspace.upperLimit = parseAltitude(singleMatch[1]);
     }
   }
 }
 
+/**
+ * Warn about vertical limits that cannot be converted to flight levels exactly
+ */
+function flagInexactLimits(airspaces, context) {
+  airspaces.forEach(airspace => {
+    [airspace, ...airspace.volumes].forEach(volume => {
+      [volume.lowerLimit, volume.upperLimit].forEach(limit => {
+        if (!limit) return;
+
+        const { exact, note } = toFlightLevel(limit);
+        if (!exact) {
+          context.warnings.push(`${volume.id}: ${note}`);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * List the volumes of an airspace with inherited boundaries and limits filled in
+ */
+function getVolumes(airspace) {
+  const volumes = airspace.volumes || [];
+
+  if (volumes.length === 0) {
+    return [airspace];
+  }
+
+  return volumes.map(volume => ({
+    ...volume,
+    boundaries: volume.boundaries.length > 0 ? volume.boundaries : airspace.boundaries,
+    arcs: volume.boundaries.length > 0 ? volume.arcs : airspace.arcs,
+    lowerLimit: volume.lowerLimit || airspace.lowerLimit,
+    upperLimit: volume.upperLimit || airspace.upperLimit
+  }));
+}
+
 module.exports = {
-  parseDAHFile
+  parseDAHFile,
+  getVolumes
 };
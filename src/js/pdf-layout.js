@@ -0,0 +1,234 @@
+/**
+ * Layout-aware PDF Text Extraction
+ * Rebuilds the lines of each PDF page from glyph positions, so multi-column
+ * pages are read a column at a time, table cells on one row stay on one
+ * line, and running headers and footers are left out
+ */
+
+const pdf = require('pdf-parse');
+
+// Items whose baselines are closer than this fraction of the font size are on the same row
+const ROW_TOLERANCE = 0.4;
+
+// A gap wider than this fraction of the font size between items on a row is a space
+const SPACE_GAP = 0.15;
+
+// Column gutters are searched for between these fractions of the page width
+const GUTTER_SEARCH = [0.25, 0.75];
+
+// A gutter must be at least this wide (points) and have text on both sides of this share of rows
+const MIN_GUTTER_WIDTH = 8;
+const MIN_COLUMN_ROWS = 0.3;
+
+// Lines this close to the top or bottom of a page are candidate headers and footers
+const RUNNING_LINE_DEPTH = 3;
+
+// A candidate header or footer must repeat on this share of pages to be removed
+const RUNNING_LINE_SHARE = 0.5;
+
+// Lines with coordinates or vertical limits are airspace data, never a header or footer,
+// e.g. "3356450S 15110230E", "33°56'45\"S", "LATERAL LIMITS:", "FL245", "SFC", "8500FT"
+const DATA_LINE_PATTERN = /\d{6,9}(?:\.\d+)?\s*[NSEW]\b|\d+°|\b(?:LATERAL|VERTICAL)\s+LIMITS\b|\bF\s*L\s*\d{2,3}\b|\b(?:SFC|GND|UNL)\b|\b\d+\s*FT\b/i;
+
+/**
+ * Extract the lines of every page of a PDF
+ * @param {Buffer} buffer - PDF file content
+ * @param {Function} [onProgress] - Called after each page with {stage: 'pages', current, total}
+ * @returns {Promise<Object>} {pages, strippedLines}: the lines of each page, with
+ *   running headers and footers blanked so line numbers still match the page
+ *   layout, and the blanked lines as {text, page, line}
+ */
+async function extractPdfPages(buffer, onProgress) {
+  const pages = [];
+
+  await pdf(buffer, {
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false });
+      const lines = layoutPage(textContent.items, pageData.view);
+      // Pages can finish rendering out of order
+      pages[pageData.pageNumber - 1] = lines;
+      if (onProgress) {
+        onProgress({ stage: 'pages', current: pageData.pageNumber, total: pageData.transport ? pageData.transport.numPages : null });
+      }
+      return lines.join('\n');
+    }
+  });
+
+  return stripRunningLines(Array.from(pages, lines => lines || []));
+}
+
+/**
+ * Turn the text items of one page into lines in reading order
+ * @param {Array} items - pdf.js text items
+ * @param {number[]} [view] - Page box as [x0, y0, x1, y1]
+ * @returns {string[]} Lines, top to bottom and column by column
+ */
+function layoutPage(items, view) {
+  const glyphs = items
+    .filter(item => item.str && item.str.trim())
+    .map(item => {
+      const size = Math.hypot(item.transform[2], item.transform[3]) || item.height || 10;
+      return { text: item.str, x: item.transform[4], y: item.transform[5], width: item.width || 0, size };
+    });
+
+  if (glyphs.length === 0) return [];
+
+  const rows = groupRows(glyphs);
+  const left = view ? view[0] : Math.min(...glyphs.map(glyph => glyph.x));
+  const right = view ? view[2] : Math.max(...glyphs.map(glyph => glyph.x + glyph.width));
+  const gutter = findColumnGutter(rows, left, right);
+
+  if (gutter === null) {
+    return rows.map(joinRow);
+  }
+
+  // Rows that cross the gutter (titles, full-width tables) end a run of two-column text
+  const lines = [];
+  let leftColumn = [];
+  let rightColumn = [];
+
+  const flushColumns = () => {
+    lines.push(...leftColumn, ...rightColumn);
+    leftColumn = [];
+    rightColumn = [];
+  };
+
+  rows.forEach(row => {
+    if (row.some(glyph => glyph.x < gutter && glyph.x + glyph.width > gutter)) {
+      flushColumns();
+      lines.push(joinRow(row));
+      return;
+    }
+
+    const leftPart = row.filter(glyph => glyph.x < gutter);
+    const rightPart = row.filter(glyph => glyph.x >= gutter);
+    if (leftPart.length > 0) leftColumn.push(joinRow(leftPart));
+    if (rightPart.length > 0) rightColumn.push(joinRow(rightPart));
+  });
+
+  flushColumns();
+  return lines;
+}
+
+/**
+ * Group glyphs into rows by baseline, top of the page first
+ */
+function groupRows(glyphs) {
+  const sorted = [...glyphs].sort((a, b) => b.y - a.y || a.x - b.x);
+  const rows = [];
+
+  sorted.forEach(glyph => {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y - glyph.y) <= glyph.size * ROW_TOLERANCE) {
+      row.glyphs.push(glyph);
+    } else {
+      rows.push({ y: glyph.y, glyphs: [glyph] });
+    }
+  });
+
+  return rows.map(row => row.glyphs.sort((a, b) => a.x - b.x));
+}
+
+/**
+ * Find the x position of a gutter between two text columns, or null if the
+ * page is a single column. The gutter is the widest band near the middle of
+ * the page that few rows cross, with text on both sides in enough rows.
+ */
+function findColumnGutter(rows, left, right) {
+  const width = right - left;
+  if (width <= 0 || rows.length < 4) return null;
+
+  const start = Math.floor(left + width * GUTTER_SEARCH[0]);
+  const end = Math.ceil(left + width * GUTTER_SEARCH[1]);
+  const crossings = [];
+
+  for (let x = start; x <= end; x++) {
+    crossings.push(rows.filter(row => row.some(glyph => glyph.x <= x && glyph.x + glyph.width >= x)).length);
+  }
+
+  // Allow a few full-width rows (titles, headings) to cross the gutter
+  const maxCrossings = Math.floor(rows.length * 0.2);
+  let best = null;
+  let runStart = null;
+
+  for (let i = 0; i <= crossings.length; i++) {
+    if (i < crossings.length && crossings[i] <= maxCrossings) {
+      if (runStart === null) runStart = i;
+      continue;
+    }
+    if (runStart !== null && (!best || i - runStart > best.width)) {
+      best = { width: i - runStart, x: start + (runStart + i - 1) / 2 };
+    }
+    runStart = null;
+  }
+
+  if (!best || best.width < MIN_GUTTER_WIDTH) return null;
+
+  const twoSided = rows.filter(row =>
+    row.some(glyph => glyph.x + glyph.width < best.x) && row.some(glyph => glyph.x > best.x)
+  ).length;
+
+  return twoSided >= rows.length * MIN_COLUMN_ROWS ? best.x : null;
+}
+
+/**
+ * Join the glyphs of a row into a line, adding spaces where there are gaps
+ */
+function joinRow(row) {
+  let text = '';
+  let previousEnd = null;
+
+  row.forEach(glyph => {
+    if (previousEnd !== null && glyph.x - previousEnd > glyph.size * SPACE_GAP && !/\s$/.test(text)) {
+      text += ' ';
+    }
+    text += glyph.text;
+    previousEnd = glyph.x + glyph.width;
+  });
+
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Blank lines near the top and bottom of pages that repeat word for word on
+ * most pages. Digits must match too, so a page number or a limit that happens
+ * to sit at the top of several pages is kept, as is any line with airspace data.
+ * @returns {Object} {pages, strippedLines} with the blanked lines as {text, page, line}
+ */
+function stripRunningLines(pages) {
+  const strippedLines = [];
+  if (pages.length < 2) return { pages, strippedLines };
+
+  const normalise = (line) => line.replace(/\s+/g, ' ').trim();
+  const edgeIndexes = (lines) => {
+    const indexes = lines.map((line, index) => index).filter(index => lines[index].trim());
+    return new Set([...indexes.slice(0, RUNNING_LINE_DEPTH), ...indexes.slice(-RUNNING_LINE_DEPTH)]);
+  };
+
+  const counts = new Map();
+  pages.forEach(lines => {
+    const seen = new Set([...edgeIndexes(lines)].map(index => normalise(lines[index])));
+    seen.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+  });
+
+  const running = new Set([...counts.entries()]
+    .filter(([key, count]) => key && !DATA_LINE_PATTERN.test(key) && count >= Math.max(2, pages.length * RUNNING_LINE_SHARE))
+    .map(([key]) => key));
+
+  const stripped = pages.map((lines, pageIndex) => {
+    const edges = edgeIndexes(lines);
+    return lines.map((line, index) => {
+      if (!edges.has(index) || !running.has(normalise(line))) return line;
+
+      strippedLines.push({ text: normalise(line), page: pageIndex + 1, line: index + 1 });
+      return '';
+    });
+  });
+
+  return { pages: stripped, strippedLines };
+}
+
+module.exports = {
+  extractPdfPages,
+  layoutPage
+};
@@ -0,0 +1,156 @@
+/**
+ * Mapping Profiles
+ * Rules for turning parsed airspace into VATGlasses groups and positions,
+ * kept in JSON so they can change without a code release
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROFILE_PATH = path.join(__dirname, '..', 'data', 'default-profile.json');
+
+// Ways of writing VATGlasses sector points, see formatCoordinate in converter.js
+const COORDINATE_FORMATS = ['dms', 'dms-decimal', 'decimal'];
+
+let defaultProfile = null;
+
+/**
+ * Get the bundled profile, loading it on first use
+ */
+function getDefaultProfile() {
+  if (!defaultProfile) {
+    defaultProfile = loadProfile(DEFAULT_PROFILE_PATH);
+  }
+  return defaultProfile;
+}
+
+/**
+ * Load and check a profile from a JSON file
+ * @param {string} filePath - Profile file
+ * @returns {Object} Profile
+ */
+function loadProfile(filePath) {
+  try {
+    return parseProfile(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to load profile from ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse and check profile JSON text
+ * @param {string} text - Profile JSON
+ * @returns {Object} Profile
+ */
+function parseProfile(text) {
+  const profile = JSON.parse(text);
+  validateProfile(profile);
+  return profile;
+}
+
+/**
+ * Check a profile has the expected shape, throwing an error naming the first problem
+ */
+function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error('profile must be a JSON object');
+  }
+
+  ['defaults', 'typeGroups', 'locations'].forEach(field => {
+    if (profile[field] !== undefined && (typeof profile[field] !== 'object' || Array.isArray(profile[field]))) {
+      throw new Error(`${field} must be an object`);
+    }
+  });
+
+  const coordinateFormat = (profile.defaults || {}).coordinateFormat;
+  if (coordinateFormat !== undefined && !COORDINATE_FORMATS.includes(coordinateFormat)) {
+    throw new Error(`defaults.coordinateFormat must be one of ${COORDINATE_FORMATS.join(', ')}`);
+  }
+
+  if (profile.positions !== undefined && !Array.isArray(profile.positions)) {
+    throw new Error('positions must be a list of rules');
+  }
+
+  (profile.positions || []).forEach((rule, index) => {
+    const label = `positions[${index}]`;
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+      throw new Error(`${label} needs an id`);
+    }
+    if (!rule.match || !['name', 'designator', 'regex'].some(field => rule.match[field])) {
+      throw new Error(`${label} needs a match with a name, designator or regex`);
+    }
+    if (rule.match.regex) {
+      try {
+        new RegExp(rule.match.regex, 'i');
+      } catch (error) {
+        throw new Error(`${label} has an invalid regex: ${error.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Find the position that controls an airspace
+ * @param {Object} profile - Mapping profile
+ * @param {Object} airspace - Parsed airspace
+ * @returns {Object|null} {id, type, colour, prefix} or null if no rule matches
+ */
+function matchPosition(profile, airspace) {
+  const name = (airspace.name || airspace.id || '').toUpperCase();
+
+  for (const rule of profile.positions || []) {
+    const { match } = rule;
+
+    if (match.name && !name.includes(match.name.toUpperCase())) continue;
+    if (match.designator && match.designator.toUpperCase() !== (airspace.designator || '').toUpperCase()) continue;
+
+    let id = rule.id;
+    if (match.regex) {
+      const regexMatch = name.match(new RegExp(match.regex, 'i'));
+      if (!regexMatch) continue;
+      id = id.replace(/\$(\d)/g, (token, group) => regexMatch[group] || '');
+    }
+
+    return {
+      id,
+      type: rule.type || null,
+      colour: rule.colour || null,
+      prefix: rule.prefix || null
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Get the group name, colour and callsign prefix for an ICAO location
+ */
+function getLocation(profile, icao) {
+  const location = (profile.locations || {})[icao] || {};
+  const defaults = profile.defaults || {};
+
+  return {
+    name: location.name || icao,
+    colour: location.colour || defaults.groupColour || '#ffffff',
+    prefix: location.prefix || icao.substring(1, 3).toUpperCase()
+  };
+}
+
+/**
+ * Get the VATGlasses group for an airspace type, if the profile groups it by type
+ */
+function getTypeGroup(profile, type) {
+  const group = (profile.typeGroups || {})[type];
+  return group ? { ...group } : null;
+}
+
+module.exports = {
+  DEFAULT_PROFILE_PATH,
+  COORDINATE_FORMATS,
+  getDefaultProfile,
+  loadProfile,
+  parseProfile,
+  matchPosition,
+  getLocation,
+  getTypeGroup
+};
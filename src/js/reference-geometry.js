@@ -0,0 +1,259 @@
+/**
+ * Reference Geometry Store
+ * Offline coastline and FIR boundary lines used to fill in
+ * "along the coastline" and "along the FIR boundary" segments
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { distanceNm, closeRing, samePoint } = require('./geo');
+
+const BUNDLED_REFERENCE_PATH = path.join(__dirname, '..', 'data', 'reference-geometry.json');
+
+// Cache of FIR boundaries from earlier parses, in the app data folder
+const CACHE_FILE_NAME = 'reference-geometry.json';
+
+// Electron names the app data folder after the product once packaged, and after the package when run from source
+const APP_FOLDER_NAMES = ['DAH Extractor', 'dah-extractor'];
+
+// Maximum distance between a DAH point and the reference line it is meant to lie on
+const DEFAULT_TOLERANCE_NM = 2;
+
+/**
+ * Create an empty reference store
+ */
+function createReferenceStore() {
+  return {
+    coastline: [],
+    firBoundaries: {},
+    unreadable: []
+  };
+}
+
+/**
+ * Load reference geometry from one or more JSON files.
+ * Later files add coastline lines and override FIR boundaries of earlier ones.
+ * Missing files are skipped so optional caches can be listed, and files that
+ * cannot be read are skipped and listed in the store's unreadable list as
+ * {filePath, message}, so a damaged cache does not stop a parse.
+ * @param {string[]} [filePaths] - Files to load, defaults to the bundled data
+ * @returns {Object} Reference store
+ */
+function loadReferenceGeometry(filePaths = [BUNDLED_REFERENCE_PATH]) {
+  const store = createReferenceStore();
+
+  filePaths.forEach(filePath => {
+    if (!fs.existsSync(filePath)) return;
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      store.unreadable.push({ filePath, message: error.message });
+      return;
+    }
+
+    if (Array.isArray(data.coastline)) {
+      store.coastline.push(...data.coastline.filter(line => Array.isArray(line) && line.length > 1));
+    }
+
+    Object.entries(data.firBoundaries || {}).forEach(([key, points]) => {
+      if (Array.isArray(points) && points.length > 2) {
+        store.firBoundaries[normaliseKey(key)] = points;
+      }
+    });
+  });
+
+  return store;
+}
+
+/**
+ * Write the FIR boundaries of a store to disk for use in later parses.
+ * The file is written beside the cache and renamed over it, so a parse
+ * stopped part way through leaves the old cache whole.
+ */
+function saveFirBoundaries(store, filePath) {
+  const tempPath = `${filePath}.tmp`;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify({ firBoundaries: store.firBoundaries }, null, 2), 'utf-8');
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Path of the app's FIR boundary cache, worked out without Electron so the
+ * CLI reads the same cache as the app. The first folder that has a cache is
+ * used, else the packaged app's.
+ * @returns {string} Cache path
+ */
+function getAppReferenceCachePath() {
+  const home = os.homedir();
+  let appData;
+  if (process.platform === 'win32') {
+    appData = process.env.APPDATA || path.join(home, 'AppData', 'Roaming');
+  } else if (process.platform === 'darwin') {
+    appData = path.join(home, 'Library', 'Application Support');
+  } else {
+    appData = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+  }
+
+  const candidates = APP_FOLDER_NAMES.map(name => path.join(appData, name, CACHE_FILE_NAME));
+  return candidates.find(candidate => fs.existsSync(candidate)) || candidates[0];
+}
+
+/**
+ * Add the boundaries of parsed FIR airspaces to the store,
+ * keyed by each ICAO location and by the FIR name
+ */
+function registerFirBoundaries(store, airspaces) {
+  airspaces.forEach(airspace => {
+    const name = (airspace.name || '').toUpperCase();
+    if (!/\bFIR$/.test(name) || airspace.boundaries.length < 3) return;
+
+    const points = airspace.boundaries.map(({ latitude, longitude }) => ({ latitude, longitude }));
+
+    (airspace.locations || []).forEach(location => {
+      store.firBoundaries[normaliseKey(location)] = points;
+    });
+    store.firBoundaries[normaliseKey(name.replace(/\s*FIR$/, ''))] = points;
+  });
+}
+
+/**
+ * Find the reference points between two boundary points.
+ * @param {Object} store - Reference store
+ * @param {Object} reference - {kind: 'coastline'|'fir', names: string[]}
+ * @param {Object} from - Point the segment starts at
+ * @param {Object} to - Point the segment finishes at
+ * @param {number} [toleranceNm] - Maximum distance of from/to from the reference line
+ * @returns {Object} {points} on success or {error} describing why it failed
+ */
+function findReferencePath(store, reference, from, to, toleranceNm = DEFAULT_TOLERANCE_NM) {
+  let lines;
+
+  if (reference.kind === 'coastline') {
+    lines = store.coastline;
+    if (lines.length === 0) {
+      return { error: 'no coastline data available' };
+    }
+  } else {
+    lines = reference.names
+      .map(name => store.firBoundaries[normaliseKey(name)])
+      .filter(Boolean)
+      .map(points => closeRing(points));
+    if (lines.length === 0) {
+      return { error: `no boundary known for FIR ${reference.names.join('/')}` };
+    }
+  }
+
+  let best = null;
+
+  // Shared FIR borders lie on several rings, so prefer the shortest path
+  lines.forEach(line => {
+    const start = nearestVertex(line, from);
+    const end = nearestVertex(line, to);
+    if (start.distance > toleranceNm || end.distance > toleranceNm) return;
+
+    const points = pathAlong(line, start.index, end.index);
+    const score = start.distance + end.distance + pathLength([from, ...points, to]);
+    if (!best || score < best.score) {
+      best = { points, score };
+    }
+  });
+
+  if (!best) {
+    return { error: `end points are more than ${toleranceNm}NM from the reference line` };
+  }
+
+  return { points: best.points };
+}
+
+/**
+ * Points strictly between two vertices of a line. Closed lines take the
+ * shorter way round.
+ */
+function pathAlong(line, startIndex, endIndex) {
+  if (startIndex === endIndex) return [];
+
+  const isClosed = line.length > 2 && samePoint(line[0], line[line.length - 1]);
+
+  if (!isClosed) {
+    return sliceBetween(line, startIndex, endIndex);
+  }
+
+  // Work on the ring without its repeated closing vertex
+  const ring = line.slice(0, -1);
+  const start = startIndex % ring.length;
+  const end = endIndex % ring.length;
+  if (start === end) return [];
+
+  const forward = [];
+  const backward = [];
+
+  for (let i = (start + 1) % ring.length; i !== end; i = (i + 1) % ring.length) {
+    forward.push(ring[i]);
+  }
+  for (let i = (start - 1 + ring.length) % ring.length; i !== end; i = (i - 1 + ring.length) % ring.length) {
+    backward.push(ring[i]);
+  }
+
+  const lengthVia = (middle) => pathLength([ring[start], ...middle, ring[end]]);
+
+  return lengthVia(forward) <= lengthVia(backward) ? forward : backward;
+}
+
+/**
+ * Points strictly between two vertices of an open line
+ */
+function sliceBetween(line, startIndex, endIndex) {
+  if (startIndex < endIndex) {
+    return line.slice(startIndex + 1, endIndex);
+  }
+  return line.slice(endIndex + 1, startIndex).reverse();
+}
+
+/**
+ * Total length of a line in nautical miles
+ */
+function pathLength(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += distanceNm(points[i - 1], points[i]);
+  }
+  return total;
+}
+
+/**
+ * Index and distance of the line vertex nearest to a point
+ */
+function nearestVertex(line, point) {
+  let nearest = { index: -1, distance: Infinity };
+
+  line.forEach((vertex, index) => {
+    const distance = distanceNm(vertex, point);
+    if (distance < nearest.distance) {
+      nearest = { index, distance };
+    }
+  });
+
+  return nearest;
+}
+
+/**
+ * Normalise a FIR code or name for lookup
+ */
+function normaliseKey(key) {
+  return key.toString().toUpperCase().replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  BUNDLED_REFERENCE_PATH,
+  CACHE_FILE_NAME,
+  createReferenceStore,
+  getAppReferenceCachePath,
+  loadReferenceGeometry,
+  saveFirBoundaries,
+  registerFirBoundaries,
+  findReferencePath
+};
@@ -5,12 +5,25 @@
 
 // State
 let convertedData = null;
+let parsedData = null;
+let compareResult = null;
 let currentFilePath = null;
+let downloadInfo = null;
+let cancelProcessing = null;
+let reviewRows = [];
+let validationIssues = [];
+let libraryError = null;
+let conversionProfile = null;
 
 // Screen elements (will be initialized after DOM loads)
 let screens = {};
-let uploadOption, linkOption, downloadBtn, cancelLinkBtn, saveLocationBtn, startOverBtn;
-let pdfUrlInput, progressFill, progressText, processingStatus, conversionSummary;
+let uploadOption, linkOption, compareOption, exportMarkdownBtn, exportHtmlBtn, compareBackBtn;
+let compareReport, diagnosticsLog, diagnosticsBtn, diagnosticsBackBtn;
+let libraryOption, libraryTableBody, libraryStatus, importLibraryBtn, exportLibraryBtn, libraryBackBtn;
+let settingsOption, profileEditor, profileStatus, saveProfileBtn, importProfileBtn, exportProfileBtn, resetProfileBtn, settingsBackBtn;
+let downloadBtn, cancelLinkBtn, saveLocationBtn, mergeBtn, mapPreviewBtn, mapBackBtn, mapStatus, startOverBtn;
+let mapFilterSelect, reviewTableBody, reviewContinueBtn, reviewBtn, blockInvalidCheckbox;
+let pdfUrlInput, progressFill, progressText, processingStatus, conversionSummary, cancelProcessingBtn;
 
 /**
  * Screen navigation
@@ -29,6 +42,7 @@ async function handleUploadOption() {
 
     if (filePath) {
       currentFilePath = filePath;
+      downloadInfo = null;
       await processFile(filePath);
     }
   } catch (error) {
@@ -45,6 +59,271 @@ function handleLinkOption() {
   pdfUrlInput.focus();
 }
 
+/**
+ * Handle compare option
+ */
+async function handleCompareOption() {
+  try {
+    const result = await window.electronAPI.compareDAHFiles();
+
+    if (result.success) {
+      compareResult = result;
+      compareReport.textContent = result.markdown;
+      showScreen('compare');
+    } else if (result.error !== 'Compare cancelled') {
+      showError(`Compare failed: ${result.error}`);
+    }
+  } catch (error) {
+    showError(`Compare error: ${error.message}`);
+  }
+}
+
+/**
+ * Handle exporting the change report
+ */
+async function handleExportReport(format) {
+  if (!compareResult) return;
+
+  try {
+    const content = format === 'html' ? compareResult.html : compareResult.markdown;
+    const result = await window.electronAPI.saveCompareReport(content, format);
+
+    if (result.success) {
+      alert(`Report saved to:\n${result.path}`);
+    } else if (result.error !== 'Save cancelled') {
+      alert(`Error saving report: ${result.error}`);
+    }
+  } catch (error) {
+    alert(`Error saving report: ${error.message}`);
+  }
+}
+
+/**
+ * Handle library option
+ */
+async function handleLibraryOption() {
+  await renderLibrary();
+  showScreen('library');
+}
+
+/**
+ * List the DAH editions in the library, one row each with convert and remove buttons
+ */
+async function renderLibrary() {
+  libraryTableBody.innerHTML = '';
+
+  let result;
+  try {
+    result = await window.electronAPI.getLibrary();
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  if (!result.success) {
+    libraryStatus.textContent = `Could not read the library: ${result.error}`;
+    return;
+  }
+
+  libraryStatus.textContent = result.editions.length > 0
+    ? 'Editions downloaded with Provide Link are kept here. Editions from an imported catalogue are downloaded when first converted.'
+    : 'No DAH editions yet. Files downloaded with Provide Link are kept here.';
+
+  result.editions.forEach(edition => {
+    const tr = document.createElement('tr');
+
+    const addCell = (text, title = '') => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      td.title = title;
+      tr.appendChild(td);
+      return td;
+    };
+
+    addCell(edition.airac || '?');
+    addCell(edition.effectiveDate || 'Not converted yet');
+    addCell(edition.urls[0] || '', edition.urls.join('\n'));
+    addCell(edition.size ? formatBytes(edition.size) : '');
+    addCell(`${edition.sha256.substring(0, 12)}…`, edition.sha256);
+    addCell(edition.cached ? 'Yes' : 'No');
+
+    const actions = addCell('');
+    const convert = document.createElement('button');
+    convert.className = 'btn btn-success btn-small';
+    convert.textContent = 'Convert';
+    convert.disabled = !edition.cached && edition.urls.length === 0;
+    convert.addEventListener('click', () => handleConvertLibraryEdition(edition));
+    actions.appendChild(convert);
+
+    const remove = document.createElement('button');
+    remove.className = 'btn btn-secondary btn-small';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => handleRemoveLibraryEdition(edition));
+    actions.appendChild(remove);
+
+    libraryTableBody.appendChild(tr);
+  });
+}
+
+/**
+ * Convert a library edition, downloading it first if only its catalogue entry is here
+ */
+async function handleConvertLibraryEdition(edition) {
+  if (!edition.cached) {
+    await downloadAndConvert(edition.urls[0], 'library');
+    return;
+  }
+
+  currentFilePath = edition.filePath;
+  downloadInfo = { url: edition.urls[0] || edition.filePath, size: edition.size, sha256: edition.sha256, cached: true };
+  await processFile(edition.filePath);
+}
+
+/**
+ * Remove an edition from the library
+ */
+async function handleRemoveLibraryEdition(edition) {
+  const name = edition.airac ? `AIRAC ${edition.airac}` : edition.urls[0] || edition.sha256;
+  if (!confirm(`Remove ${name} from the library?`)) return;
+
+  try {
+    const result = await window.electronAPI.removeLibraryEdition(edition.sha256);
+    if (!result.success) {
+      alert(`Error removing edition: ${result.error}`);
+    }
+  } catch (error) {
+    alert(`Error removing edition: ${error.message}`);
+  }
+  await renderLibrary();
+}
+
+/**
+ * Handle merging a shared catalogue into the library
+ */
+async function handleImportLibrary() {
+  try {
+    const result = await window.electronAPI.importLibrary();
+
+    if (result.success) {
+      await renderLibrary();
+      libraryStatus.textContent = `Catalogue imported: ${result.added} edition${result.added !== 1 ? 's' : ''} added, ${result.updated} updated.`;
+    } else if (result.error !== 'Import cancelled') {
+      alert(`Could not import catalogue: ${result.error}`);
+    }
+  } catch (error) {
+    alert(`Error importing catalogue: ${error.message}`);
+  }
+}
+
+/**
+ * Handle exporting the library catalogue
+ */
+async function handleExportLibrary() {
+  try {
+    const result = await window.electronAPI.exportLibrary();
+
+    if (result.success) {
+      alert(`Catalogue exported to:\n${result.path}`);
+    } else if (result.error !== 'Export cancelled') {
+      alert(`Error exporting catalogue: ${result.error}`);
+    }
+  } catch (error) {
+    alert(`Error exporting catalogue: ${error.message}`);
+  }
+}
+
+/**
+ * Handle settings option
+ */
+async function handleSettingsOption() {
+  try {
+    const result = await window.electronAPI.getProfile();
+
+    if (result.success) {
+      profileEditor.value = result.text;
+      profileStatus.textContent = result.custom
+        ? 'Using your saved profile. Changes apply to the next conversion.'
+        : 'Using the bundled profile. Saving keeps your changes in the app data folder.';
+      showScreen('settings');
+    } else {
+      showError(`Could not load profile: ${result.error}`);
+    }
+  } catch (error) {
+    showError(`Profile error: ${error.message}`);
+  }
+}
+
+/**
+ * Handle saving the edited profile
+ */
+async function handleSaveProfile() {
+  try {
+    const result = await window.electronAPI.saveProfile(profileEditor.value);
+
+    if (result.success) {
+      profileStatus.textContent = 'Profile saved. Changes apply to the next conversion.';
+    } else {
+      alert(`Profile not saved: ${result.error}`);
+    }
+  } catch (error) {
+    alert(`Error saving profile: ${error.message}`);
+  }
+}
+
+/**
+ * Handle loading a profile file into the editor
+ */
+async function handleImportProfile() {
+  try {
+    const result = await window.electronAPI.importProfile();
+
+    if (result.success) {
+      profileEditor.value = result.text;
+      profileStatus.textContent = 'Profile loaded. Save to start using it.';
+    } else if (result.error !== 'Import cancelled') {
+      alert(`Could not load profile: ${result.error}`);
+    }
+  } catch (error) {
+    alert(`Error loading profile: ${error.message}`);
+  }
+}
+
+/**
+ * Handle exporting the profile in the editor
+ */
+async function handleExportProfile() {
+  try {
+    const result = await window.electronAPI.exportProfile(profileEditor.value);
+
+    if (result.success) {
+      alert(`Profile exported to:\n${result.path}`);
+    } else if (result.error !== 'Export cancelled') {
+      alert(`Error exporting profile: ${result.error}`);
+    }
+  } catch (error) {
+    alert(`Error exporting profile: ${error.message}`);
+  }
+}
+
+/**
+ * Handle going back to the bundled profile
+ */
+async function handleResetProfile() {
+  if (!confirm('Replace your profile with the bundled default?')) return;
+
+  try {
+    const result = await window.electronAPI.resetProfile();
+
+    if (result.success) {
+      profileEditor.value = result.text;
+      profileStatus.textContent = 'Using the bundled profile. Saving keeps your changes in the app data folder.';
+    } else {
+      alert(`Error resetting profile: ${result.error}`);
+    }
+  } catch (error) {
+    alert(`Error resetting profile: ${error.message}`);
+  }
+}
+
 /**
  * Handle download and convert
  */
@@ -56,60 +335,412 @@ async function handleDownloadAndConvert() {
     return;
   }
 
+  await downloadAndConvert(url, 'link');
+}
+
+/**
+ * Download a DAH file, or take it from the library if the URL was downloaded before, and convert it
+ * @param {string} url - Link to the DAH file
+ * @param {string} cancelScreen - Screen to go back to if the download is cancelled
+ */
+async function downloadAndConvert(url, cancelScreen) {
   try {
     showScreen('processing');
     updateProgress(0, 'Starting download...');
+    setCancelProcessing(window.electronAPI.cancelDownload);
 
     const result = await window.electronAPI.downloadPDF(url);
+    setCancelProcessing(null);
 
     if (result.success) {
       currentFilePath = result.filePath;
-      updateProgress(100, 'Download complete!');
+      downloadInfo = { url: result.url, size: result.size, sha256: result.sha256, cached: result.cached, warning: result.warning };
+      updateProgress(100, `${result.cached ? 'Using library copy' : 'Download complete'} (${formatBytes(result.size)}, SHA-256 ${result.sha256})`);
       await processFile(result.filePath);
+    } else if (result.error === 'Download cancelled') {
+      resetProgress();
+      showScreen(cancelScreen);
     } else {
-      showError('Failed to download file');
+      showError(`Failed to download file: ${result.error}`);
     }
   } catch (error) {
+    setCancelProcessing(null);
     showError(`Download error: ${error.message}`);
   }
 }
 
+/**
+ * Show download progress, as a percentage if the size is known and in MB if not
+ */
+function handleDownloadProgress({ receivedBytes, percent, attempt }) {
+  const retry = attempt > 0 ? ` (retry ${attempt})` : '';
+  if (percent !== null) {
+    updateProgress(percent, `Downloading file... ${percent}%${retry}`);
+  } else {
+    updateProgress(0, `Downloading file... ${formatBytes(receivedBytes)}${retry}`);
+  }
+}
+
 /**
  * Process and convert file
  */
 async function processFile(filePath) {
   try {
     showScreen('processing');
-    updateProgress(25, 'Reading file...');
-
-    await delay(500);
-    updateProgress(50, 'Parsing DAH data...');
+    updateProgress(0, 'Reading file...');
+    setCancelProcessing(window.electronAPI.cancelConversion);
 
     const result = await window.electronAPI.convertDAHFile(filePath);
+    setCancelProcessing(null);
 
     if (result.success) {
       convertedData = result.data;
+      parsedData = result.parsed;
+      validationIssues = result.issues || [];
+      libraryError = result.libraryError || null;
+      conversionProfile = result.profile || {};
       updateProgress(100, 'Conversion complete!');
-
-      await delay(500);
-      showConversionComplete(result.data);
+      showReview(result.data);
+    } else if (result.error === 'Conversion cancelled') {
+      resetProgress();
+      showScreen('home');
     } else {
       showError(`Conversion failed: ${result.error}`);
     }
   } catch (error) {
+    setCancelProcessing(null);
     showError(`Processing error: ${error.message}`);
   }
 }
 
+/**
+ * Show conversion progress. PDF pages take up to 60%, reading airspace up to
+ * 90% (by lines read) and validation and conversion the rest.
+ */
+function handleConversionProgress({ stage, current, total, airspaces }) {
+  const fraction = total ? current / total : 0;
+
+  if (stage === 'reading') {
+    updateProgress(0, 'Reading file...');
+  } else if (stage === 'pages') {
+    updateProgress(Math.round(fraction * 60), `Reading page ${current}${total ? ` of ${total}` : ''}...`);
+  } else if (stage === 'airspaces') {
+    updateProgress(60 + Math.round(fraction * 30), `Parsing DAH data... ${airspaces} airspace${airspaces !== 1 ? 's' : ''} found`);
+  } else if (stage === 'validating') {
+    updateProgress(92, `Validating ${total} airspace${total !== 1 ? 's' : ''}...`);
+  } else if (stage === 'converting') {
+    updateProgress(96, `Converting ${total} airspace${total !== 1 ? 's' : ''} to VATGlasses...`);
+  }
+}
+
+/**
+ * Show the cancel button while a download or conversion can be cancelled
+ * @param {Function|null} cancel - Cancels the running step, or null to hide the button
+ */
+function setCancelProcessing(cancel) {
+  cancelProcessing = cancel;
+  cancelProcessingBtn.hidden = !cancel;
+}
+
+/**
+ * Show the review table for a conversion result
+ */
+function showReview(data) {
+  // Every parsed airspace is converted, in order, so a row's index is also
+  // the index of the parsed airspace it came from; names need not be unique
+  reviewRows = (data.airspace || []).map((airspace, index) => ({
+    airspace,
+    index,
+    excluded: false
+  }));
+
+  renderReviewTable();
+  showScreen('review');
+}
+
+/**
+ * Draw one editable row per airspace
+ */
+function renderReviewTable() {
+  reviewTableBody.innerHTML = '';
+
+  reviewRows.forEach(row => {
+    const { airspace } = row;
+    const sectors = airspace.sectors || [];
+    const tr = document.createElement('tr');
+    tr.classList.toggle('excluded', row.excluded);
+
+    const addCell = (content) => {
+      const td = document.createElement('td');
+      td.appendChild(content);
+      tr.appendChild(td);
+    };
+
+    const addInput = (value, onChange) => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'review-input';
+      input.value = value;
+      input.disabled = row.excluded;
+      input.addEventListener('change', () => {
+        const error = onChange(input.value.trim());
+        input.classList.toggle('invalid', Boolean(error));
+        input.title = error || '';
+      });
+      addCell(input);
+    };
+
+    const include = document.createElement('input');
+    include.type = 'checkbox';
+    include.checked = !row.excluded;
+    include.title = 'Include in output';
+    include.addEventListener('change', () => {
+      row.excluded = !include.checked;
+      renderReviewTable();
+    });
+    addCell(include);
+
+    // Edits go to the parsed airspace too, which the other formats are built from
+    const parsed = getParsedAirspace(row);
+
+    addInput(airspace.id, value => {
+      if (!value) return 'Id is required';
+      airspace.id = value;
+      parsed.name = value;
+    });
+    addInput(airspace.group || '', value => {
+      if (value) airspace.group = value; else delete airspace.group;
+      if (value) parsed.group = value; else delete parsed.group;
+    });
+    addInput(airspace.owner.join(', '), value => {
+      airspace.owner = value.split(',').map(owner => owner.trim()).filter(Boolean);
+      parsed.owner = [...airspace.owner];
+    });
+    addInput(sectors.map(sector => formatReviewLevel(sector.min, 'SFC')).join(' / '),
+      value => setSectorLevels(row, 'min', value, 'SFC'));
+    addInput(sectors.map(sector => formatReviewLevel(sector.max, 'UNL')).join(' / '),
+      value => setSectorLevels(row, 'max', value, 'UNL'));
+    addCell(document.createTextNode(sectors.map(sector => sector.points.length).join(' / ')));
+    addInput(airspace.activation ? airspace.activation.raw : '', value => {
+      setReviewHours(row, value);
+    });
+
+    const issues = getRowIssues(row);
+    const issueCell = document.createElement('span');
+    if (issues.length > 0) {
+      const worst = ['error', 'warning', 'info'].find(severity => issues.some(issue => issue.severity === severity));
+      issueCell.className = `issue-badge ${worst}`;
+      issueCell.textContent = `${issues.length} ${worst === 'info' ? 'note' : worst}${issues.length !== 1 ? 's' : ''}`;
+      issueCell.title = issues.map(formatValidationIssue).join('\n');
+    }
+    addCell(issueCell);
+
+    reviewTableBody.appendChild(tr);
+  });
+}
+
+/**
+ * Show a sector level as a flight level, or a label when it is not set
+ */
+function formatReviewLevel(level, unsetLabel) {
+  return level === undefined ? unsetLabel : String(level);
+}
+
+/**
+ * Set the floors or ceilings of an airspace's sectors from "/"-separated
+ * flight levels, and the matching limits of the parsed volumes. Only levels
+ * that changed are copied to the parsed limits, so limits such as 1550FT that
+ * show rounded stay as the DAH gives them. Returns an error message if the
+ * text does not fit.
+ */
+function setSectorLevels(row, field, value, unsetLabel) {
+  const sectors = row.airspace.sectors || [];
+  const volumes = getSectorVolumes(getParsedAirspace(row));
+  const limitField = field === 'min' ? 'lowerLimit' : 'upperLimit';
+
+  if (volumes.length !== sectors.length) {
+    return 'The sectors could not be matched to the DAH volumes, so levels cannot be edited here';
+  }
+
+  const levels = value.split('/').map(level => level.trim().toUpperCase());
+  if (levels.length !== sectors.length) {
+    return `Enter ${sectors.length} level${sectors.length !== 1 ? 's' : ''} separated by "/"`;
+  }
+
+  const parsed = levels.map(level => (level === '' || level === unsetLabel ? undefined : Number(level.replace(/^FL/, ''))));
+  if (parsed.some(level => level !== undefined && (!Number.isInteger(level) || level < 0))) {
+    return `Levels are flight levels, or ${unsetLabel}`;
+  }
+
+  sectors.forEach((sector, index) => {
+    if (parsed[index] === sector[field]) return;
+
+    if (parsed[index] === undefined) delete sector[field]; else sector[field] = parsed[index];
+    volumes[index][limitField] = toReviewedAltitude(parsed[index], unsetLabel);
+  });
+}
+
+/**
+ * The parsed volumes behind an airspace's VATGlasses sectors, in the same
+ * order. convertAirspace makes a sector for each lettered sub-volume with
+ * points (its own or the airspace's), or one for the airspace if it has none.
+ */
+function getSectorVolumes(airspace) {
+  if (!airspace.volumes || airspace.volumes.length === 0) return [airspace];
+
+  return airspace.volumes.filter(volume =>
+    (volume.boundaries.length > 0 ? volume.boundaries : airspace.boundaries || []).length > 0
+  );
+}
+
+/**
+ * Turn a flight level from the review table into a limit shaped like the
+ * parser's: feet up to the 10000FT transition altitude, a flight level above it
+ */
+function toReviewedAltitude(level, unsetLabel) {
+  if (level === undefined) {
+    return unsetLabel === 'SFC'
+      ? { raw: 'SFC', value: 0, unit: 'FT', datum: 'SFC' }
+      : { raw: 'UNL', value: null, unit: null, datum: 'UNL' };
+  }
+  if (level <= 100) {
+    return { raw: `${level * 100}FT AMSL`, value: level * 100, unit: 'FT', datum: 'AMSL' };
+  }
+  return { raw: `FL${level}`, value: level, unit: 'FL', datum: 'FL' };
+}
+
+/**
+ * Replace the hours of an airspace, in both the VATGlasses and parsed data
+ */
+async function setReviewHours(row, value) {
+  const schedule = value ? await window.electronAPI.parseSchedule(value) : null;
+
+  if (schedule) row.airspace.activation = schedule; else delete row.airspace.activation;
+
+  const airspace = getParsedAirspace(row);
+  airspace.hoursOfOperation = value;
+  airspace.schedule = schedule;
+}
+
+/**
+ * Validation issues for the parsed airspaces behind a review row
+ */
+function getRowIssues(row) {
+  return validationIssues.filter(issue => issue.airspaceIndex === row.index);
+}
+
+/**
+ * Validation issues for the airspaces that have not been excluded
+ */
+function getIncludedIssues() {
+  return reviewRows.filter(row => !row.excluded).flatMap(getRowIssues);
+}
+
+/**
+ * Format a validation issue as one line of text
+ */
+function formatValidationIssue(issue) {
+  const where = issue.volume ? `${issue.airspaceName} ${issue.volume}` : issue.airspaceName;
+  return `[${issue.severity.toUpperCase()}] ${where}: ${issue.message}`;
+}
+
+/**
+ * Check whether saving is blocked by validation errors, and say so if it is
+ */
+function isBlockedByValidation() {
+  const errors = getIncludedIssues().filter(issue => issue.severity === 'error');
+  if (!blockInvalidCheckbox.checked || errors.length === 0) return false;
+
+  alert(`${errors.length} validation error${errors.length !== 1 ? 's' : ''} must be fixed or excluded before saving:\n\n` +
+    errors.map(formatValidationIssue).join('\n'));
+  return true;
+}
+
+/**
+ * Parsed airspace that a review row's VATGlasses airspace was converted from
+ */
+function getParsedAirspace(row) {
+  return parsedData.airspaces[row.index];
+}
+
+/**
+ * Name and colour for a group named in the review table, from the profile the
+ * file was converted with, as convertToVATGlasses gives them: a type group
+ * (e.g. RESTRICTED) as the profile defines it, anything else as a location
+ */
+function getGroupDefinition(group) {
+  const profile = conversionProfile || {};
+  const typeGroup = (profile.typeGroups || {})[group];
+  if (typeGroup) return { ...typeGroup };
+
+  const location = (profile.locations || {})[group] || {};
+  return {
+    name: location.name || group,
+    colour: location.colour || (profile.defaults || {}).groupColour || '#ffffff'
+  };
+}
+
+/**
+ * Converted and parsed data with review edits applied and excluded rows left out
+ */
+function getReviewedData() {
+  const included = reviewRows.filter(row => !row.excluded);
+  const excludedIndexes = new Set(reviewRows.filter(row => row.excluded).map(row => row.index));
+
+  const jsonData = { ...convertedData, airspace: included.map(row => row.airspace), groups: { ...convertedData.groups } };
+  included.forEach(({ airspace }) => {
+    if (airspace.group && !jsonData.groups[airspace.group]) {
+      jsonData.groups[airspace.group] = getGroupDefinition(airspace.group);
+    }
+  });
+
+  const parsed = {
+    ...parsedData,
+    airspaces: (parsedData.airspaces || []).filter((airspace, index) => !excludedIndexes.has(index))
+  };
+
+  return { jsonData, parsed };
+}
+
+/**
+ * Handle finishing the review
+ */
+function handleReviewContinue() {
+  const invalid = reviewTableBody.querySelector('.review-input.invalid');
+  if (invalid) {
+    alert(`Please fix the highlighted field: ${invalid.title}`);
+    invalid.focus();
+    return;
+  }
+
+  showConversionComplete(getReviewedData().jsonData, parsedData.warnings);
+}
+
 /**
  * Show conversion complete screen
  */
-function showConversionComplete(data) {
+function showConversionComplete(data, warnings = []) {
   const airspaceCount = data.airspace?.length || 0;
-  const positionCount = data.positions?.length || 0;
-  const airportCount = data.airports?.length || 0;
+  const positionCount = Object.keys(data.positions || {}).length;
+  const airportCount = Object.keys(data.airports || {}).length;
 
   let summary = 'Successfully converted DAH file to VATGlasses JSON format.\n\n';
+
+  if (downloadInfo) {
+    summary += `${downloadInfo.cached ? 'Library copy of' : 'Downloaded from'} ${downloadInfo.url}\n`;
+    summary += `${formatBytes(downloadInfo.size)}, SHA-256 ${downloadInfo.sha256}\n`;
+    summary += downloadInfo.warning ? `${downloadInfo.warning}\n\n` : '\n';
+  }
+
+  if (libraryError) {
+    summary += `The DAH library could not be updated with this edition's details: ${libraryError}\n\n`;
+  }
+
+  const metadata = data.metadata || {};
+  if (metadata.airac || metadata.effectiveDate) {
+    summary += `DAH edition: ${metadata.airac ? `AIRAC ${metadata.airac}` : 'unknown cycle'}`;
+    summary += metadata.effectiveDate ? `, effective ${metadata.effectiveDate}\n\n` : '\n\n';
+  }
   summary += `Found:\n`;
   summary += `• ${airspaceCount} airspace${airspaceCount !== 1 ? 's' : ''}\n`;
 
@@ -118,7 +749,24 @@ function showConversionComplete(data) {
   }
 
   if (airportCount > 0) {
-    summary += `• ${airportCount} airport${airportCount !== 1 ? 's' : ''}`;
+    summary += `• ${airportCount} airport${airportCount !== 1 ? 's' : ''}\n`;
+  }
+
+  if (warnings.length > 0) {
+    summary += `\n${warnings.length} warning${warnings.length !== 1 ? 's' : ''}:\n`;
+    summary += warnings.map(warning => `• ${warning}`).join('\n');
+    summary += '\n';
+  }
+
+  const diagnosticCount = (parsedData.diagnostics || []).length;
+  if (diagnosticCount > 0) {
+    summary += `\n${diagnosticCount} line${diagnosticCount !== 1 ? 's' : ''} of the DAH could not be used (see View Diagnostics).\n`;
+  }
+
+  const issues = getIncludedIssues();
+  if (issues.length > 0) {
+    summary += `\n${issues.length} validation issue${issues.length !== 1 ? 's' : ''}:\n`;
+    summary += issues.map(issue => `• ${formatValidationIssue(issue)}`).join('\n');
   }
 
   conversionSummary.textContent = summary;
@@ -134,8 +782,11 @@ async function handleSaveLocation() {
     return;
   }
 
+  if (isBlockedByValidation()) return;
+
   try {
-    const result = await window.electronAPI.saveJSONFile(convertedData);
+    const { jsonData, parsed } = getReviewedData();
+    const result = await window.electronAPI.saveJSONFile(jsonData, parsed);
 
     if (result.success) {
       alert(`File saved successfully to:\n${result.path}`);
@@ -147,12 +798,123 @@ async function handleSaveLocation() {
   }
 }
 
+/**
+ * Handle merging into an existing VATGlasses file
+ */
+async function handleMerge() {
+  if (!convertedData) {
+    alert('No data to merge');
+    return;
+  }
+
+  if (isBlockedByValidation()) return;
+
+  try {
+    const result = await window.electronAPI.mergeJSONFile(getReviewedData().jsonData);
+
+    if (result.success) {
+      conversionSummary.textContent = `Merged into ${result.path}\n\n${result.summary}`;
+      alert(`File merged successfully to:\n${result.path}`);
+    } else if (result.error !== 'Merge cancelled') {
+      alert(`Error merging file: ${result.error}`);
+    }
+  } catch (error) {
+    alert(`Error merging file: ${error.message}`);
+  }
+}
+
+/**
+ * Handle showing the parse diagnostics
+ */
+function handleShowDiagnostics() {
+  const diagnostics = (parsedData && parsedData.diagnostics) || [];
+
+  diagnosticsLog.textContent = diagnostics.length > 0
+    ? diagnostics.map(formatDiagnostic).join('\n')
+    : 'Every line of the DAH was used.';
+  showScreen('diagnostics');
+}
+
+/**
+ * Format a diagnostic as one line of text
+ */
+function formatDiagnostic(diagnostic) {
+  const kinds = {
+    SKIPPED_LINE: 'Skipped line',
+    UNRECOGNISED_HEADER: 'Unrecognised section header',
+    UNMATCHED_COORDINATE: 'Unmatched coordinate fragment',
+    DROPPED_AIRSPACE: 'Dropped airspace',
+    UNREADABLE_REFERENCE: 'Unreadable reference geometry',
+    RUNNING_LINE: 'Removed page header or footer',
+    ARC_RADIUS_MISMATCH: 'Arc point off its radius'
+  };
+  const where = diagnostic.page ? `p${diagnostic.page}:${diagnostic.line} ` : '';
+  const detail = diagnostic.message ? ` - ${diagnostic.message}` : '';
+  return `${where}${kinds[diagnostic.kind] || diagnostic.kind}${detail}: ${diagnostic.text}`;
+}
+
+/**
+ * Handle showing the parsed airspace on the map
+ */
+async function handleMapPreview() {
+  if (!parsedData) {
+    alert('No data to preview');
+    return;
+  }
+
+  // The map still shows the airspace without a coastline, saying why it is missing
+  let coastline = [];
+  let coastlineProblem = null;
+  try {
+    const result = await window.electronAPI.getReferenceGeometry();
+    if (result.success) {
+      coastline = result.coastline;
+    } else {
+      coastlineProblem = result.error;
+    }
+  } catch (error) {
+    coastlineProblem = error.message;
+  }
+  if (coastlineProblem) {
+    mapStatus.textContent = `The coastline could not be loaded: ${coastlineProblem}`;
+  } else if (coastline.length === 0) {
+    mapStatus.textContent = 'No coastline data is available, so only the airspace is drawn.';
+  } else {
+    mapStatus.textContent = '';
+  }
+
+  const { parsed } = getReviewedData();
+  const groups = new Map();
+  reviewRows.filter(row => !row.excluded).forEach(row => {
+    groups.set(getParsedAirspace(row), row.airspace.group);
+  });
+
+  const invalidAirspaces = new Set(getIncludedIssues()
+    .filter(issue => issue.severity !== 'info')
+    .map(issue => parsedData.airspaces[issue.airspaceIndex]));
+
+  setMapData(parsed.airspaces, groups, coastline, invalidAirspaces);
+
+  mapFilterSelect.innerHTML = '';
+  getMapFilterOptions().forEach(({ value, label }) => {
+    mapFilterSelect.appendChild(new Option(label, value));
+  });
+  mapFilterSelect.value = 'all';
+
+  showScreen('map');
+  setMapFilter('all');
+}
+
 /**
  * Handle start over
  */
 function handleStartOver() {
   convertedData = null;
+  parsedData = null;
   currentFilePath = null;
+  downloadInfo = null;
+  reviewRows = [];
+  validationIssues = [];
   pdfUrlInput.value = '';
   resetProgress();
   showScreen('home');
@@ -198,10 +960,10 @@ function showError(message) {
 }
 
 /**
- * Utility delay function
+ * Format a size in bytes as MB
  */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function formatBytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
 /**
@@ -243,42 +1005,106 @@ document.addEventListener('DOMContentLoaded', () => {
     home: document.getElementById('homeScreen'),
     link: document.getElementById('linkScreen'),
     processing: document.getElementById('processingScreen'),
+    compare: document.getElementById('compareScreen'),
+    diagnostics: document.getElementById('diagnosticsScreen'),
+    settings: document.getElementById('settingsScreen'),
+    library: document.getElementById('libraryScreen'),
+    review: document.getElementById('reviewScreen'),
+    map: document.getElementById('mapScreen'),
     complete: document.getElementById('completeScreen')
   };
 
   // Initialize button elements
   uploadOption = document.getElementById('uploadOption');
   linkOption = document.getElementById('linkOption');
+  compareOption = document.getElementById('compareOption');
+  exportMarkdownBtn = document.getElementById('exportMarkdownBtn');
+  exportHtmlBtn = document.getElementById('exportHtmlBtn');
+  compareBackBtn = document.getElementById('compareBackBtn');
+  libraryOption = document.getElementById('libraryOption');
+  importLibraryBtn = document.getElementById('importLibraryBtn');
+  exportLibraryBtn = document.getElementById('exportLibraryBtn');
+  libraryBackBtn = document.getElementById('libraryBackBtn');
+  settingsOption = document.getElementById('settingsOption');
+  saveProfileBtn = document.getElementById('saveProfileBtn');
+  importProfileBtn = document.getElementById('importProfileBtn');
+  exportProfileBtn = document.getElementById('exportProfileBtn');
+  resetProfileBtn = document.getElementById('resetProfileBtn');
+  settingsBackBtn = document.getElementById('settingsBackBtn');
   downloadBtn = document.getElementById('downloadBtn');
   cancelLinkBtn = document.getElementById('cancelLinkBtn');
   saveLocationBtn = document.getElementById('saveLocationBtn');
+  mergeBtn = document.getElementById('mergeBtn');
+  reviewContinueBtn = document.getElementById('reviewContinueBtn');
+  reviewBtn = document.getElementById('reviewBtn');
+  mapPreviewBtn = document.getElementById('mapPreviewBtn');
+  mapBackBtn = document.getElementById('mapBackBtn');
+  diagnosticsBtn = document.getElementById('diagnosticsBtn');
+  diagnosticsBackBtn = document.getElementById('diagnosticsBackBtn');
   startOverBtn = document.getElementById('startOverBtn');
 
   // Initialize input elements
   pdfUrlInput = document.getElementById('pdfUrlInput');
+  profileEditor = document.getElementById('profileEditor');
+  mapFilterSelect = document.getElementById('mapFilter');
+  mapStatus = document.getElementById('mapStatus');
+  blockInvalidCheckbox = document.getElementById('blockInvalidCheckbox');
 
   // Initialize progress elements
   progressFill = document.getElementById('progressFill');
   progressText = document.getElementById('progressText');
   processingStatus = document.getElementById('processingStatus');
+  cancelProcessingBtn = document.getElementById('cancelProcessingBtn');
 
   // Initialize result elements
   conversionSummary = document.getElementById('conversionSummary');
+  compareReport = document.getElementById('compareReport');
+  diagnosticsLog = document.getElementById('diagnosticsLog');
+  profileStatus = document.getElementById('profileStatus');
+  reviewTableBody = document.getElementById('reviewTableBody');
+  libraryTableBody = document.getElementById('libraryTableBody');
+  libraryStatus = document.getElementById('libraryStatus');
+  initMapView(document.getElementById('mapCanvas'), document.getElementById('mapTooltip'));
 
   // Set up event listeners
   uploadOption.addEventListener('click', handleUploadOption);
   linkOption.addEventListener('click', handleLinkOption);
+  compareOption.addEventListener('click', handleCompareOption);
+  exportMarkdownBtn.addEventListener('click', () => handleExportReport('markdown'));
+  exportHtmlBtn.addEventListener('click', () => handleExportReport('html'));
+  compareBackBtn.addEventListener('click', () => showScreen('home'));
+  libraryOption.addEventListener('click', handleLibraryOption);
+  importLibraryBtn.addEventListener('click', handleImportLibrary);
+  exportLibraryBtn.addEventListener('click', handleExportLibrary);
+  libraryBackBtn.addEventListener('click', () => showScreen('home'));
+  settingsOption.addEventListener('click', handleSettingsOption);
+  saveProfileBtn.addEventListener('click', handleSaveProfile);
+  importProfileBtn.addEventListener('click', handleImportProfile);
+  exportProfileBtn.addEventListener('click', handleExportProfile);
+  resetProfileBtn.addEventListener('click', handleResetProfile);
+  settingsBackBtn.addEventListener('click', () => showScreen('home'));
 
   downloadBtn.addEventListener('click', handleDownloadAndConvert);
   cancelLinkBtn.addEventListener('click', () => showScreen('home'));
   saveLocationBtn.addEventListener('click', handleSaveLocation);
+  mergeBtn.addEventListener('click', handleMerge);
+  reviewContinueBtn.addEventListener('click', handleReviewContinue);
+  reviewBtn.addEventListener('click', () => showScreen('review'));
+  mapPreviewBtn.addEventListener('click', handleMapPreview);
+  mapBackBtn.addEventListener('click', () => showScreen('complete'));
+  diagnosticsBtn.addEventListener('click', handleShowDiagnostics);
+  diagnosticsBackBtn.addEventListener('click', () => showScreen('complete'));
+  mapFilterSelect.addEventListener('change', () => setMapFilter(mapFilterSelect.value));
   startOverBtn.addEventListener('click', handleStartOver);
 
-  // Listen for download progress
-  window.electronAPI.onDownloadProgress((progress) => {
-    updateProgress(progress, `Downloading file... ${progress}%`);
+  cancelProcessingBtn.addEventListener('click', () => {
+    if (cancelProcessing) cancelProcessing();
   });
 
+  // Listen for download and conversion progress
+  window.electronAPI.onDownloadProgress(handleDownloadProgress);
+  window.electronAPI.onConversionProgress(handleConversionProgress);
+
   // Initialize UI
   showScreen('home');
   updateLogo();
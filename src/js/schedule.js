@@ -0,0 +1,134 @@
+/**
+ * Activation Schedule Parser
+ * Turns DAH "HOURS OF ACTIVATION" text into a machine-readable schedule
+ */
+
+const DAYS = ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'];
+
+const DAY_ALIASES = {
+  MONDAY: 'MON', TUESDAY: 'TUE', TUES: 'TUE', WEDNESDAY: 'WED', THURSDAY: 'THU', THUR: 'THU', THURS: 'THU',
+  FRIDAY: 'FRI', SATURDAY: 'SAT', SUNDAY: 'SUN'
+};
+
+const DAY_SOURCE = String.raw`(?:MON(?:DAY)?|TUE(?:S(?:DAY)?)?|WED(?:NESDAY)?|THU(?:R(?:S(?:DAY)?)?)?|FRI(?:DAY)?|SAT(?:URDAY)?|SUN(?:DAY)?)`;
+
+// e.g. "MON-FRI", "SAT SUN", "MON, WED"
+const DAY_RANGE_PATTERN = new RegExp(String.raw`\b(${DAY_SOURCE})\b(?:\s*(?:-|TO)\s*\b(${DAY_SOURCE})\b)?`, 'g');
+
+// e.g. "2200-0800", "0800 TO 1700"
+const TIME_RANGE_PATTERN = /\b([01]\d|2[0-4])([0-5]\d)\s*(?:-|TO)\s*([01]\d|2[0-4])([0-5]\d)\b/g;
+
+/**
+ * Parse hours of activation text
+ * @param {string} text - Raw text after "HOURS OF ACTIVATION:"
+ * @returns {Object|null} Schedule with type, periods, daylight saving periods and notes
+ *
+ * type is one of:
+ *   H24       - always active
+ *   HJ / HN   - sunrise to sunset / sunset to sunrise
+ *   SCHEDULED - active during the listed periods
+ *   NOTAM     - active only as notified by NOTAM
+ *   ACTIVATED - active when activated by the controlling authority
+ *   UNKNOWN   - text that could not be interpreted
+ */
+function parseSchedule(text) {
+  if (!text || !text.trim()) return null;
+
+  const raw = text.replace(/\s+/g, ' ').trim();
+  const upper = raw.toUpperCase();
+
+  const schedule = {
+    raw,
+    type: 'UNKNOWN',
+    periods: [],
+    daylightSavingPeriods: [],
+    notam: /\bNOTAM\b/.test(upper),
+    notes: []
+  };
+
+  // Clauses are separated by commas, semicolons or full stops; bracketed
+  // notes such as "(HDS 2100-0400)" are clauses of their own
+  const bracketed = [...upper.matchAll(/\(([^)]*)\)/g)].map(match => match[1]);
+  const clauses = [upper.replace(/\([^)]*\)/g, ' '), ...bracketed];
+
+  clauses.flatMap(part => part.split(/[;,]|\.\s/)).map(clause => clause.trim()).filter(Boolean).forEach(clause => {
+    const isDaylightSaving = /\b(HDS|DAYLIGHT SAVING|DST)\b/.test(clause);
+    const periods = parseClausePeriods(clause);
+
+    if (isDaylightSaving) {
+      schedule.daylightSavingPeriods.push(...periods);
+      schedule.notes.push(clause);
+    } else {
+      schedule.periods.push(...periods);
+    }
+  });
+
+  if (/\bH24\b|\b24\s*HR?S?\b/.test(upper)) {
+    schedule.type = 'H24';
+  } else if (/\bHJ\b|\bSR\s*-\s*SS\b|SUNRISE\s+(?:-|TO)\s+SUNSET/.test(upper)) {
+    schedule.type = 'HJ';
+  } else if (/\bHN\b|\bSS\s*-\s*SR\b|SUNSET\s+(?:-|TO)\s+SUNRISE/.test(upper)) {
+    schedule.type = 'HN';
+  } else if (schedule.periods.length > 0) {
+    schedule.type = 'SCHEDULED';
+  } else if (/\bAS\s+ACT(?:IVATED)?\b|\bACTIVATED\s+BY\s+(?!NOTAM)|\bWHEN\s+ACTIVE\b/.test(upper)) {
+    schedule.type = 'ACTIVATED';
+  } else if (schedule.notam) {
+    schedule.type = 'NOTAM';
+  }
+
+  return schedule;
+}
+
+/**
+ * Extract the day and time periods from one clause
+ */
+function parseClausePeriods(clause) {
+  const timeZone = /\b(LOCAL|LT|LMT)\b/.test(clause) ? 'LOCAL' : 'UTC';
+  const days = parseDays(clause);
+  const periods = [];
+
+  for (const match of clause.matchAll(TIME_RANGE_PATTERN)) {
+    periods.push({
+      days,
+      start: `${match[1]}${match[2]}`,
+      end: `${match[3]}${match[4]}`,
+      timeZone
+    });
+  }
+
+  return periods;
+}
+
+/**
+ * List the days named in a clause, or null if it names none (every day)
+ */
+function parseDays(clause) {
+  const days = new Set();
+
+  for (const match of clause.matchAll(DAY_RANGE_PATTERN)) {
+    const first = normaliseDay(match[1]);
+    const last = match[2] ? normaliseDay(match[2]) : first;
+
+    // Ranges may wrap round the week, e.g. "SAT-MON"
+    let index = DAYS.indexOf(first);
+    days.add(DAYS[index]);
+    while (DAYS[index] !== last) {
+      index = (index + 1) % DAYS.length;
+      days.add(DAYS[index]);
+    }
+  }
+
+  return days.size > 0 ? DAYS.filter(day => days.has(day)) : null;
+}
+
+/**
+ * Normalise a day name to its three-letter abbreviation
+ */
+function normaliseDay(day) {
+  return DAY_ALIASES[day] || day.substring(0, 3);
+}
+
+module.exports = {
+  parseSchedule
+};
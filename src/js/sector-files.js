@@ -0,0 +1,43 @@
+/**
+ * Sector File Helpers
+ * Names and callsigns shared by the vatSys and EuroScope exporters
+ */
+
+/**
+ * Turn an airspace name into a sector or volume name, e.g. "SYDNEY C1" to "SYDNEY_C1"
+ */
+function toSectorName(name) {
+  return name.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Name a volume of an airspace, numbering names already used (e.g. "SYDNEY_C1_2")
+ * @param {Object} airspace - Parsed airspace
+ * @param {Object} volume - The airspace itself or one of its lettered sub-volumes
+ * @param {Set} usedNames - Names given so far in the file, added to
+ * @returns {string} Unique name
+ */
+function nameVolume(airspace, volume, usedNames) {
+  const baseName = toSectorName(volume === airspace ? airspace.name : `${airspace.name} ${volume.designator}`);
+
+  let name = baseName;
+  for (let i = 2; usedNames.has(name); i++) {
+    name = `${baseName}_${i}`;
+  }
+  usedNames.add(name);
+
+  return name;
+}
+
+/**
+ * Login callsign of a VATGlasses position, e.g. "ML-TSN_CTR", or its owner id if it has no prefix
+ */
+function getPositionCallsign(owner, position = {}) {
+  return position.pre && position.pre.length > 0 ? `${position.pre[0]}_${position.type || 'CTR'}` : owner;
+}
+
+module.exports = {
+  toSectorName,
+  nameVolume,
+  getPositionCallsign
+};
@@ -0,0 +1,129 @@
+/**
+ * ATS Unit Parser
+ * Reads controlling units, callsigns and radio frequencies from DAH text
+ */
+
+// ATS service named in a unit callsign, and the VATSIM position type it maps to
+const UNIT_TYPES = {
+  CENTRE: 'CTR',
+  CENTER: 'CTR',
+  CONTROL: 'CTR',
+  APPROACH: 'APP',
+  RADAR: 'APP',
+  DEPARTURES: 'DEP',
+  DEPARTURE: 'DEP',
+  TOWER: 'TWR',
+  GROUND: 'GND',
+  DELIVERY: 'DEL',
+  FLIGHTWATCH: 'FSS',
+  INFORMATION: 'FSS'
+};
+
+const SERVICE_SOURCE = Object.keys(UNIT_TYPES).join('|');
+
+// e.g. "BRISBANE CENTRE", "SYDNEY APPROACH (SOUTH)"
+const UNIT_PATTERN = new RegExp(String.raw`\b([A-Z][A-Z ]*?)\s+(${SERVICE_SOURCE})\b`);
+
+// e.g. "124.3", "124.300 MHZ", "HF 8867 KHZ"
+const FREQUENCY_PATTERN = /\b(\d{1,3}\.\d{1,3})(?:\s*MHZ)?(?![\w.])|\b(\d{4,5})\s*KHZ\b/gi;
+
+// Frequency table rows, e.g. "BRISBANE CENTRE 124.3 128.6" with no heading colon
+const TABLE_ROW_PATTERN = new RegExp(String.raw`^[A-Z][A-Z ]*?\s+(?:${SERVICE_SOURCE})\b[^:]*?\d{1,3}\.\d{1,3}`);
+
+// Aeronautical VHF and HF bands, in MHz
+const VHF_RANGE = [118, 137];
+const HF_RANGE = [2, 30];
+
+/**
+ * Find the radio frequencies in some text
+ * @param {string} text - Text to search
+ * @returns {Object} {frequencies, rest} with VHF frequencies (MHz) before HF ones,
+ *   and the text with the frequencies taken out
+ */
+function extractFrequencies(text) {
+  const vhf = [];
+  const hf = [];
+
+  const rest = text.replace(FREQUENCY_PATTERN, (match, mhz, khz) => {
+    const value = mhz ? parseFloat(mhz) : parseInt(khz, 10) / 1000;
+
+    if (value >= VHF_RANGE[0] && value < VHF_RANGE[1]) {
+      vhf.push(value);
+    } else if (value >= HF_RANGE[0] && value < HF_RANGE[1]) {
+      hf.push(value);
+    } else {
+      return match;
+    }
+    return ' ';
+  });
+
+  return {
+    frequencies: [...new Set([...vhf, ...hf])],
+    rest: rest.replace(/\b(?:ON|VHF|HF|FREQ(?:UENC(?:Y|IES))?)\b/gi, ' ').replace(/[\s,;/]+/g, ' ').trim()
+  };
+}
+
+/**
+ * Read an ATS unit from text such as a controlling authority
+ * @param {string} text - Text naming the unit, e.g. "BRISBANE CENTRE"
+ * @returns {Object|null} {name, service, type, callsign} or null if no ATS service is named
+ */
+function parseUnit(text) {
+  const match = (text || '').toUpperCase().match(UNIT_PATTERN);
+  if (!match) return null;
+
+  const name = match[1].trim();
+  const service = match[2];
+
+  return {
+    name,
+    service,
+    type: UNIT_TYPES[service],
+    callsign: toTitleCase(`${name} ${service}`)
+  };
+}
+
+/**
+ * Read a row of a unit frequency table
+ * @param {string} line - A line of DAH text
+ * @returns {Object|null} {unit, frequencies} or null if the line is not a table row
+ */
+function parseFrequencyTableRow(line) {
+  if (!TABLE_ROW_PATTERN.test(line)) return null;
+
+  const { frequencies, rest } = extractFrequencies(line);
+  const unit = parseUnit(rest);
+
+  return unit && frequencies.length > 0 ? { unit, frequencies } : null;
+}
+
+/**
+ * Pick the frequency a position is published on: the first VHF one, else the first HF one
+ */
+function primaryFrequency(frequencies) {
+  const vhf = frequencies.find(frequency => frequency >= VHF_RANGE[0] && frequency < VHF_RANGE[1]);
+  return vhf !== undefined ? vhf : frequencies[0];
+}
+
+/**
+ * Key a unit by its callsign for frequency table lookups
+ */
+function unitKey(unit) {
+  return `${unit.name} ${unit.service}`;
+}
+
+/**
+ * Capitalise the first letter of each word
+ */
+function toTitleCase(text) {
+  return text.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+module.exports = {
+  UNIT_TYPES,
+  extractFrequencies,
+  parseUnit,
+  parseFrequencyTableRow,
+  primaryFrequency,
+  unitKey
+};
@@ -0,0 +1,275 @@
+/**
+ * Geometry Validation
+ * Checks parsed airspace boundaries and limits for problems that would give
+ * broken polygons in the exported files
+ *
+ * Each issue has a severity:
+ *   error   - the volume cannot be exported as it stands
+ *   warning - the volume exports but is probably wrong
+ *   info    - worth a look, usually harmless
+ */
+
+const { getVolumes } = require('./parser');
+const { toFlightLevel } = require('./altitude');
+const { formatCoordinate } = require('./converter');
+
+// Points closer than this (in degrees, about 0.2m) are treated as the same point
+const SAME_POINT_TOLERANCE = 1e-6;
+
+/**
+ * Validate the boundaries and limits of parsed airspaces
+ * @param {Array} airspaces - Parsed airspaces
+ * @returns {Array} Issues as {severity, code, airspaceIndex, airspaceId, airspaceName, volume, message}
+ *   where airspaceIndex is the airspace's place in the list, as ids need not be unique
+ */
+function validateAirspaces(airspaces) {
+  const issues = [];
+  const windings = [];
+
+  airspaces.forEach((airspace, airspaceIndex) => {
+    getVolumes(airspace).forEach(volume => {
+      const addIssue = (severity, code, message) => {
+        issues.push({
+          severity,
+          code,
+          airspaceIndex,
+          airspaceId: airspace.id,
+          airspaceName: airspace.name,
+          volume: volume === airspace ? null : volume.designator,
+          message
+        });
+      };
+
+      const points = volume.boundaries;
+      const ring = checkClosure(points, addIssue);
+
+      if (checkRange(points, addIssue) && ring.length >= 3) {
+        checkSelfIntersection(ring, addIssue);
+
+        const area = signedArea(ring);
+        if (area !== 0) {
+          windings.push({ clockwise: area < 0, addIssue });
+        }
+      }
+
+      checkRoundTrip(points, addIssue);
+      checkLimits(volume, addIssue);
+    });
+  });
+
+  checkWinding(windings);
+
+  return issues;
+}
+
+/**
+ * Check the boundary has enough points and is closed once.
+ * Returns the boundary without its closing point.
+ */
+function checkClosure(points, addIssue) {
+  const ring = [];
+
+  points.forEach((point, index) => {
+    if (ring.length > 0 && samePoint(ring[ring.length - 1], point)) {
+      if (index === points.length - 1 && samePoint(point, points[0])) {
+        addIssue('warning', 'DUPLICATE_CLOSING_POINT', 'Boundary is closed more than once');
+      } else {
+        addIssue('warning', 'DUPLICATE_POINT', `Point ${index + 1} repeats the point before it`);
+      }
+      return;
+    }
+    ring.push(point);
+  });
+
+  // DAH boundaries usually end short of their first point; the exporters close them, so this is only a note
+  if (ring.length > 1 && samePoint(ring[0], ring[ring.length - 1])) {
+    ring.pop();
+  } else if (ring.length >= 3) {
+    addIssue('info', 'UNCLOSED', 'Boundary does not return to its first point and will be closed with a straight line');
+  }
+
+  if (ring.length < 3) {
+    addIssue('error', 'TOO_FEW_POINTS', `Boundary has ${ring.length} distinct point${ring.length !== 1 ? 's' : ''}, at least 3 are needed`);
+  }
+
+  return ring;
+}
+
+/**
+ * Check every point is a real latitude and longitude. Returns false if any is not.
+ */
+function checkRange(points, addIssue) {
+  let valid = true;
+
+  points.forEach((point, index) => {
+    const { latitude, longitude } = point;
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      addIssue('error', 'OUT_OF_RANGE', `Point ${index + 1} (${latitude}, ${longitude}) is not a valid coordinate`);
+      valid = false;
+    }
+  });
+
+  return valid;
+}
+
+/**
+ * Check no two non-adjacent edges of a ring cross
+ */
+function checkSelfIntersection(ring, addIssue) {
+  const count = ring.length;
+
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 2; j < count; j++) {
+      // The first and last edges share the first point
+      if (i === 0 && j === count - 1) continue;
+
+      if (segmentsIntersect(ring[i], ring[(i + 1) % count], ring[j], ring[(j + 1) % count])) {
+        addIssue('error', 'SELF_INTERSECTION', `Edge ${i + 1}-${i + 2} crosses edge ${j + 1}-${(j + 1) % count + 1}`);
+        return;
+      }
+    }
+  }
+}
+
+/**
+ * Check each point formats back to the coordinates the DAH gives for it, to
+ * the tenth of a second, so output points sit exactly where the DAH puts them
+ */
+function checkRoundTrip(points, addIssue) {
+  points.forEach((point, index) => {
+    if (!point.dms) return;
+
+    const expected = [toDMSText(point.dms.latitude, 2), toDMSText(point.dms.longitude, 3)];
+    const formatted = formatCoordinate(point.latitude, point.longitude, 'dms-decimal');
+
+    if (formatted[0] !== expected[0] || formatted[1] !== expected[1]) {
+      addIssue('error', 'COORDINATE_ROUND_TRIP',
+        `Point ${index + 1} (${point.dms.latitude} ${point.dms.longitude}) formats as ${formatted.join(' ')}`);
+    }
+  });
+}
+
+/**
+ * Write a DAH coordinate ("3356450S" or 33°56'45.0"S) the way formatCoordinate
+ * writes DDMMSS.S, e.g. "-335645.0"
+ */
+function toDMSText(text, degreeDigits) {
+  const hemisphere = text.slice(-1);
+  const symbols = text.match(/^(\d+)°(\d+)'(\d+(?:\.\d+)?)/);
+
+  const [degrees, minutes, seconds] = symbols
+    ? [parseInt(symbols[1], 10), parseInt(symbols[2], 10), parseFloat(symbols[3])]
+    : [
+        parseInt(text.substring(0, degreeDigits), 10),
+        parseInt(text.substring(degreeDigits, degreeDigits + 2), 10),
+        parseInt(text.substring(degreeDigits + 2, degreeDigits + 5), 10) / 10
+      ];
+
+  const sign = (hemisphere === 'S' || hemisphere === 'W') && (degrees || minutes || seconds) ? '-' : '';
+  return sign + degrees.toString().padStart(degreeDigits, '0') + minutes.toString().padStart(2, '0') +
+    seconds.toFixed(1).padStart(4, '0');
+}
+
+/**
+ * Check the floor is below the ceiling
+ */
+function checkLimits(volume, addIssue) {
+  const floor = toFlightLevel(volume.lowerLimit);
+  const ceiling = toFlightLevel(volume.upperLimit);
+
+  // An unreadable limit is reported by the parser already
+  if (!volume.lowerLimit || !volume.upperLimit || ceiling.level === null) return;
+
+  const floorLevel = floor.level === null ? 0 : floor.level;
+  if (floorLevel >= ceiling.level) {
+    addIssue('error', 'FLOOR_NOT_BELOW_CEILING', `Floor ${volume.lowerLimit.raw} is not below ceiling ${volume.upperLimit.raw}`);
+  }
+}
+
+/**
+ * Flag boundaries wound the opposite way to most others in the document
+ */
+function checkWinding(windings) {
+  const clockwiseCount = windings.filter(winding => winding.clockwise).length;
+  const majorityClockwise = clockwiseCount * 2 >= windings.length;
+
+  windings.forEach(({ clockwise, addIssue }) => {
+    if (clockwise !== majorityClockwise) {
+      addIssue('warning', 'WINDING_ORDER',
+        `Boundary is ${clockwise ? 'clockwise' : 'anticlockwise'}, unlike most others in this document`);
+    }
+  });
+}
+
+/**
+ * Signed area of a ring in square degrees, positive when anticlockwise
+ */
+function signedArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const a = ring[i];
+    const b = ring[(i + 1) % ring.length];
+    area += a.longitude * b.latitude - b.longitude * a.latitude;
+  }
+  return area / 2;
+}
+
+/**
+ * Whether segments ab and cd cross or touch
+ */
+function segmentsIntersect(a, b, c, d) {
+  const d1 = orientation(c, d, a);
+  const d2 = orientation(c, d, b);
+  const d3 = orientation(a, b, c);
+  const d4 = orientation(a, b, d);
+
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+    return true;
+  }
+
+  return (d1 === 0 && onSegment(c, d, a)) ||
+    (d2 === 0 && onSegment(c, d, b)) ||
+    (d3 === 0 && onSegment(a, b, c)) ||
+    (d4 === 0 && onSegment(a, b, d));
+}
+
+/**
+ * Which side of line pq point r lies on: positive left, negative right, 0 on it
+ */
+function orientation(p, q, r) {
+  const value = (q.longitude - p.longitude) * (r.latitude - p.latitude) -
+    (q.latitude - p.latitude) * (r.longitude - p.longitude);
+  return Math.abs(value) < SAME_POINT_TOLERANCE * SAME_POINT_TOLERANCE ? 0 : value;
+}
+
+/**
+ * Whether point r, known to be on line pq, lies within segment pq
+ */
+function onSegment(p, q, r) {
+  return r.longitude <= Math.max(p.longitude, q.longitude) + SAME_POINT_TOLERANCE &&
+    r.longitude >= Math.min(p.longitude, q.longitude) - SAME_POINT_TOLERANCE &&
+    r.latitude <= Math.max(p.latitude, q.latitude) + SAME_POINT_TOLERANCE &&
+    r.latitude >= Math.min(p.latitude, q.latitude) - SAME_POINT_TOLERANCE;
+}
+
+/**
+ * Whether two points are the same within tolerance
+ */
+function samePoint(a, b) {
+  return Math.abs(a.latitude - b.latitude) < SAME_POINT_TOLERANCE &&
+    Math.abs(a.longitude - b.longitude) < SAME_POINT_TOLERANCE;
+}
+
+/**
+ * Format an issue as one line of text
+ */
+function formatIssue(issue) {
+  const where = issue.volume ? `${issue.airspaceName} ${issue.volume}` : issue.airspaceName;
+  return `[${issue.severity.toUpperCase()}] ${where}: ${issue.message}`;
+}
+
+module.exports = {
+  validateAirspaces,
+  formatIssue
+};
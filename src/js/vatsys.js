@@ -0,0 +1,132 @@
+/**
+ * vatSys Exporter
+ * Converts parsed DAH data to vatSys Volumes and Sectors XML
+ *
+ * Volumes.xml holds one named boundary and volume per airspace volume.
+ * Sectors.xml is a skeleton linking those volumes to the positions
+ * convertToVATGlasses infers, to be completed in the vatSys profile.
+ */
+
+const { splitDMS } = require('./geo');
+const { getVolumes } = require('./parser');
+const { toFeet } = require('./altitude');
+const { convertToVATGlasses, convertAirspace } = require('./converter');
+const { getDefaultProfile } = require('./profile');
+const { describeSource } = require('./edition');
+const { nameVolume, getPositionCallsign } = require('./sector-files');
+
+// vatSys has no unlimited value, so unlimited ceilings use this altitude in feet
+const UNLIMITED_FT = 60000;
+
+/**
+ * Convert parsed DAH data to vatSys XML
+ * @param {Object} parsedData - Data parsed from DAH file
+ * @param {Object} [vatglassesData] - Converted VATGlasses data to take positions from
+ * @param {Object} [profile] - Mapping profile that gives each volume's owner
+ * @returns {Object} {volumes, sectors} XML documents
+ */
+function convertToVatSys(parsedData, vatglassesData, profile = getDefaultProfile()) {
+  vatglassesData = vatglassesData || convertToVATGlasses(parsedData, profile);
+
+  const boundaries = [];
+  const volumes = [];
+  const sectors = new Map();
+  const usedNames = new Set();
+
+  (parsedData.airspaces || []).forEach(airspace => {
+    const converted = convertAirspace(airspace, profile);
+    const owner = converted && converted.owner[0];
+
+    getVolumes(airspace).forEach(volume => {
+      if (volume.boundaries.length < 3) return;
+
+      const name = nameVolume(airspace, volume, usedNames);
+
+      boundaries.push(`    <Boundary Name="${escapeXml(name)}">${volume.boundaries.map(formatVatSysCoordinate).join('/')}</Boundary>`);
+      volumes.push(
+        `    <Volume Name="${escapeXml(name)}" LowerLimit="${toFeet(volume.lowerLimit, 0)}" ` +
+        `UpperLimit="${toFeet(volume.upperLimit, UNLIMITED_FT)}" Boundaries="${escapeXml(name)}" />`
+      );
+
+      if (owner) {
+        if (!sectors.has(owner)) sectors.set(owner, []);
+        sectors.get(owner).push(name);
+      }
+    });
+  });
+
+  const sectorElements = [...sectors.entries()].map(([owner, volumeNames]) => {
+    const position = (vatglassesData.positions || {})[owner] || {};
+    const callsign = getPositionCallsign(owner, position);
+    const attributes = [
+      `Name="${escapeXml(owner)}"`,
+      `FullName="${escapeXml(position.callsign || owner)}"`,
+      `Callsign="${escapeXml(callsign)}"`,
+      `Frequency="${escapeXml(position.frequency || '')}"`
+    ];
+
+    return [
+      `  <Sector ${attributes.join(' ')}>`,
+      `    <Volumes>${volumeNames.map(escapeXml).join(',')}</Volumes>`,
+      '    <ResponsibleSectors />',
+      '  </Sector>'
+    ].join('\n');
+  });
+
+  const header = `<?xml version="1.0" encoding="utf-8"?>\n<!-- ${escapeXmlComment(describeSource(parsedData.metadata))}, generated by DAH Extractor -->`;
+
+  return {
+    volumes: [
+      header,
+      '<Volumes>',
+      '  <Boundaries>',
+      ...boundaries,
+      '  </Boundaries>',
+      '  <Volumes>',
+      ...volumes,
+      '  </Volumes>',
+      '</Volumes>',
+      ''
+    ].join('\n'),
+    sectors: [header, '<Sectors>', ...sectorElements, '</Sectors>', ''].join('\n')
+  };
+}
+
+/**
+ * Format a point as a vatSys ISO 6709 coordinate, e.g. "-334500.000+1510100.000"
+ */
+function formatVatSysCoordinate(point) {
+  const format = (decimal, isLat) => {
+    const { negative, degrees, minutes, seconds } = splitDMS(decimal, 3);
+    const secStr = seconds.toFixed(3).padStart(6, '0');
+
+    return (negative ? '-' : '+') +
+      degrees.toString().padStart(isLat ? 2 : 3, '0') +
+      minutes.toString().padStart(2, '0') +
+      secStr;
+  };
+
+  return format(point.latitude, true) + format(point.longitude, false);
+}
+
+/**
+ * Escape text for use in XML attributes and content
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text for use in an XML comment, which may not contain "--"
+ */
+function escapeXmlComment(text) {
+  return escapeXml(text).replace(/-(?=-)/g, '- ');
+}
+
+module.exports = {
+  convertToVatSys
+};
@@ -0,0 +1,34 @@
+/**
+ * DAH edition comparison
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { compareDAH, formatCompareMarkdown } = require('../src/js/compare');
+
+function makeAirspace(id, latitude, extra = {}) {
+  return { id, name: id, type: 'CTA', boundaries: [{ latitude, longitude: 151 }], volumes: [], ...extra };
+}
+
+test('airspaces sharing a key are listed, not dropped or paired up', () => {
+  const report = compareDAH(
+    { airspaces: [makeAirspace('YSSY/SYDNEY C1', -33), makeAirspace('YSSY/SYDNEY C1', -34), makeAirspace('YSSY/SYDNEY C2', -33)] },
+    { airspaces: [makeAirspace('YSSY/SYDNEY C1', -35), makeAirspace('YSSY/SYDNEY C2', -33)] }
+  );
+
+  assert.deepStrictEqual(report.duplicates, ['YSSY/SYDNEY C1']);
+  assert.deepStrictEqual(report.changed, []);
+  assert.deepStrictEqual(report.removed, []);
+  assert.strictEqual(report.unchangedCount, 1);
+  assert.match(formatCompareMarkdown(report), /more than one airspace with the same key \(1\)\n\n- YSSY\/SYDNEY C1/);
+});
+
+test('PRD areas are matched by designator', () => {
+  const report = compareDAH(
+    { airspaces: [makeAirspace('R264A OLD NAME', -22, { type: 'RESTRICTED', designator: 'R264A' })] },
+    { airspaces: [makeAirspace('R264A NEW NAME', -22, { type: 'RESTRICTED', designator: 'R264A' })] }
+  );
+
+  assert.deepStrictEqual([report.added, report.removed, report.duplicates], [[], [], []]);
+  assert.strictEqual(report.unchangedCount, 1);
+});
@@ -0,0 +1,61 @@
+/**
+ * Coordinate formatting: seconds that round up to 60 carry into the minutes and degrees
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatCoordinate } = require('../src/js/converter');
+const { splitDMS } = require('../src/js/geo');
+
+// Decimal degrees for a DMS value, e.g. toDecimal(33, 59, 59.96)
+function toDecimal(degrees, minutes, seconds) {
+  return degrees + minutes / 60 + seconds / 3600;
+}
+
+test('dms rounds 59.95" to 59.99" up to the next minute', () => {
+  [59.95, 59.96, 59.97, 59.98, 59.99].forEach(seconds => {
+    assert.deepStrictEqual(
+      formatCoordinate(-toDecimal(33, 56, seconds), toDecimal(151, 10, seconds), 'dms'),
+      ['-335700', '1511100'],
+      `${seconds}"`
+    );
+  });
+});
+
+test('dms carries into the degrees at 59\' 59.95"', () => {
+  assert.deepStrictEqual(
+    formatCoordinate(-toDecimal(33, 59, 59.95), toDecimal(151, 59, 59.99), 'dms'),
+    ['-340000', '1520000']
+  );
+});
+
+test('dms-decimal keeps seconds that round to 59.9" in the minute', () => {
+  assert.deepStrictEqual(formatCoordinate(-toDecimal(33, 56, 59.94), toDecimal(151, 10, 59.9), 'dms-decimal'),
+    ['-335659.9', '1511059.9']);
+});
+
+test('dms-decimal rounds 59.95" to 59.99" up to the next minute', () => {
+  [59.95, 59.96, 59.97, 59.98, 59.99].forEach(seconds => {
+    assert.deepStrictEqual(
+      formatCoordinate(-toDecimal(33, 56, seconds), toDecimal(151, 10, seconds), 'dms-decimal'),
+      ['-335700.0', '1511100.0'],
+      `${seconds}"`
+    );
+  });
+});
+
+test('dms-decimal carries into the degrees at 59\' 59.95"', () => {
+  assert.deepStrictEqual(
+    formatCoordinate(-toDecimal(33, 59, 59.95), toDecimal(151, 59, 59.99), 'dms-decimal'),
+    ['-340000.0', '1520000.0']
+  );
+});
+
+test('splitDMS never gives 60 seconds or 60 minutes', () => {
+  [0, 1].forEach(secondDecimals => {
+    [59.95, 59.96, 59.97, 59.98, 59.99].forEach(seconds => {
+      const { degrees, minutes, seconds: rounded } = splitDMS(toDecimal(33, 59, seconds), secondDecimals);
+      assert.deepStrictEqual({ degrees, minutes, seconds: rounded }, { degrees: 34, minutes: 0, seconds: 0 });
+    });
+  });
+});
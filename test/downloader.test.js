@@ -0,0 +1,242 @@
+/**
+ * PDF downloader, against a local HTTP server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { downloadPDF, cleanupDownloads } = require('../src/js/downloader');
+
+const PDF = Buffer.from('%PDF-1.4\n% test file\n%%EOF\n', 'latin1');
+
+// Short enough that timeouts and retries do not slow the tests down
+const FAST = { timeoutMs: 200, retryDelayMs: 10 };
+
+// Requests received by each path
+const hits = {};
+
+const routes = {
+  '/file.pdf': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Length': PDF.length });
+    res.end(PDF);
+  },
+  '/versioned': (req, res) => {
+    if (req.headers['if-none-match'] === '"v1"' || req.headers['if-modified-since'] === 'Thu, 27 Nov 2025 00:00:00 GMT') {
+      res.writeHead(304);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/pdf', ETag: '"v1"', 'Last-Modified': 'Thu, 27 Nov 2025 00:00:00 GMT' });
+    res.end(PDF);
+  },
+  '/no-type': (req, res) => {
+    res.writeHead(200);
+    res.end(PDF);
+  },
+  '/redirect': (req, res) => {
+    res.writeHead(302, { Location: '/redirect-again' });
+    res.end();
+  },
+  '/redirect-again': (req, res) => {
+    res.writeHead(301, { Location: `http://${req.headers.host}/file.pdf` });
+    res.end();
+  },
+  '/loop': (req, res) => {
+    res.writeHead(302, { Location: '/loop' });
+    res.end();
+  },
+  '/no-location': (req, res) => {
+    res.writeHead(302);
+    res.end();
+  },
+  '/login': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end('<html>Sign in</html>');
+  },
+  '/not-a-pdf': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+    res.end('<html>Sign in</html>');
+  },
+  '/missing': (req, res) => {
+    res.writeHead(404);
+    res.end();
+  },
+  '/flaky': (req, res) => {
+    if (hits['/flaky'] <= 3) {
+      res.writeHead(503);
+      res.end();
+      return;
+    }
+    routes['/file.pdf'](req, res);
+  },
+  '/down': (req, res) => {
+    res.writeHead(500);
+    res.end();
+  },
+  '/stall': () => {
+    // Never answers
+  },
+  '/stall-body': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Length': PDF.length * 2 });
+    res.write(PDF);
+  },
+  '/truncated': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Length': PDF.length * 2 });
+    res.write(PDF);
+    res.socket.destroy();
+  }
+};
+
+let server;
+let baseUrl;
+let directory;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    (routes[req.url] || routes['/missing'])(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dah-downloader-test-'));
+});
+
+test.after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await cleanupDownloads(directory);
+});
+
+test.beforeEach(() => {
+  Object.keys(hits).forEach(key => delete hits[key]);
+});
+
+// Files left in the download directory, which should only ever be finished PDFs
+function partFiles() {
+  return fs.readdirSync(directory).filter(name => name.endsWith('.part'));
+}
+
+test('downloads a PDF and reports its size and hash', async () => {
+  const progress = [];
+  const result = await downloadPDF(`${baseUrl}/file.pdf`, { directory, ...FAST, onProgress: update => progress.push(update) });
+
+  assert.deepStrictEqual(fs.readFileSync(result.filePath), PDF);
+  assert.strictEqual(result.url, `${baseUrl}/file.pdf`);
+  assert.strictEqual(result.size, PDF.length);
+  assert.strictEqual(result.sha256, crypto.createHash('sha256').update(PDF).digest('hex'));
+  assert.strictEqual(result.contentType, 'application/pdf');
+  assert.strictEqual(progress[progress.length - 1].percent, 100);
+});
+
+test('accepts a PDF sent without a content type', async () => {
+  const result = await downloadPDF(`${baseUrl}/no-type`, { directory, ...FAST });
+  assert.strictEqual(result.contentType, null);
+});
+
+test('returns the ETag and Last-Modified date, and does not download an unchanged file again', async () => {
+  const result = await downloadPDF(`${baseUrl}/versioned`, { directory, ...FAST });
+  assert.strictEqual(result.etag, '"v1"');
+  assert.strictEqual(result.lastModified, 'Thu, 27 Nov 2025 00:00:00 GMT');
+
+  assert.deepStrictEqual(await downloadPDF(`${baseUrl}/versioned`, { directory, ...FAST, etag: '"v1"' }),
+    { notModified: true, url: `${baseUrl}/versioned` });
+  assert.strictEqual((await downloadPDF(`${baseUrl}/versioned`, { directory, ...FAST, lastModified: result.lastModified })).notModified, true);
+  assert.strictEqual((await downloadPDF(`${baseUrl}/versioned`, { directory, ...FAST, etag: '"v0"' })).size, PDF.length);
+});
+
+test('follows relative and absolute redirects and returns the final URL', async () => {
+  const result = await downloadPDF(`${baseUrl}/redirect`, { directory, ...FAST });
+  assert.strictEqual(result.url, `${baseUrl}/file.pdf`);
+  assert.deepStrictEqual(fs.readFileSync(result.filePath), PDF);
+});
+
+test('stops after too many redirects', async () => {
+  await assert.rejects(downloadPDF(`${baseUrl}/loop`, { directory, ...FAST, maxRedirects: 3 }), /Too many redirects \(more than 3\)/);
+  assert.strictEqual(hits['/loop'], 4);
+});
+
+test('refuses a redirect without a location', async () => {
+  await assert.rejects(downloadPDF(`${baseUrl}/no-location`, { directory, ...FAST }), /redirect without a Location header/);
+});
+
+test('refuses a page that is not sent as a PDF', async () => {
+  await assert.rejects(downloadPDF(`${baseUrl}/login`, { directory, ...FAST }), /returned text\/html, not a PDF/);
+  assert.deepStrictEqual(partFiles(), []);
+});
+
+test('refuses a file that does not start with %PDF- and removes the partial file', async () => {
+  await assert.rejects(downloadPDF(`${baseUrl}/not-a-pdf`, { directory, ...FAST }), /not a PDF/);
+  assert.strictEqual(hits['/not-a-pdf'], 1);
+  assert.deepStrictEqual(partFiles(), []);
+});
+
+test('refuses links that are not http or https', async () => {
+  await assert.rejects(downloadPDF('ftp://example.com/dah.pdf', { directory }), /Only http and https/);
+  await assert.rejects(downloadPDF('not a url', { directory }), /Invalid URL/);
+});
+
+test('does not retry client errors', async () => {
+  await assert.rejects(downloadPDF(`${baseUrl}/missing`, { directory, ...FAST }), /HTTP 404/);
+  assert.strictEqual(hits['/missing'], 1);
+});
+
+test('retries server errors until one succeeds', async () => {
+  const attempts = [];
+  const result = await downloadPDF(`${baseUrl}/flaky`, {
+    directory,
+    ...FAST,
+    retries: 3,
+    onProgress: update => attempts.push(update.attempt)
+  });
+
+  assert.strictEqual(hits['/flaky'], 4);
+  assert.strictEqual(result.size, PDF.length);
+  assert.deepStrictEqual([...new Set(attempts)], [3]);
+});
+
+test('gives up after the last retry', async () => {
+  await assert.rejects(downloadPDF(`${baseUrl}/down`, { directory, ...FAST, retries: 2 }), /HTTP 500/);
+  assert.strictEqual(hits['/down'], 3);
+});
+
+test('times out a server that does not answer', async () => {
+  await assert.rejects(downloadPDF(`${baseUrl}/stall`, { directory, ...FAST, retries: 1 }), /Timed out after 0.2s/);
+  assert.strictEqual(hits['/stall'], 2);
+});
+
+test('times out a download that stalls part way and removes the partial file', async () => {
+  await assert.rejects(downloadPDF(`${baseUrl}/stall-body`, { directory, ...FAST, retries: 0 }), /Timed out/);
+  assert.deepStrictEqual(partFiles(), []);
+});
+
+test('retries a connection that drops part way and removes the partial file', async () => {
+  await assert.rejects(downloadPDF(`${baseUrl}/truncated`, { directory, ...FAST, retries: 1 }));
+  assert.strictEqual(hits['/truncated'], 2);
+  assert.deepStrictEqual(partFiles(), []);
+});
+
+test('cancels a download part way and removes the partial file', async () => {
+  const controller = new AbortController();
+  const download = downloadPDF(`${baseUrl}/stall-body`, {
+    directory,
+    timeoutMs: 5000,
+    signal: controller.signal,
+    onProgress: () => controller.abort()
+  });
+
+  await assert.rejects(download, error => error.cancelled === true && error.message === 'Download cancelled');
+  assert.deepStrictEqual(partFiles(), []);
+});
+
+test('cancels while waiting to retry', async () => {
+  const controller = new AbortController();
+  const download = downloadPDF(`${baseUrl}/down`, { directory, ...FAST, retryDelayMs: 5000, signal: controller.signal });
+  setTimeout(() => controller.abort(), 100);
+
+  await assert.rejects(download, error => error.cancelled === true);
+  assert.strictEqual(hits['/down'], 1);
+});
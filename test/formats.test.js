@@ -0,0 +1,20 @@
+/**
+ * Output formats: an output is never written with a DAH input's extension
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { OUTPUT_FORMATS, getOutputFormatForPath } = require('../src/js/formats');
+
+const INPUT_EXTENSIONS = ['pdf', 'txt', 'dat', 'dah'];
+
+test('no output format uses a DAH input extension', () => {
+  Object.entries(OUTPUT_FORMATS).forEach(([id, format]) => {
+    assert.ok(!INPUT_EXTENSIONS.includes(format.extension), `${id} uses .${format.extension}`);
+  });
+});
+
+test('OpenAir is found by .air and a plain .txt name gives no format', () => {
+  assert.strictEqual(getOutputFormatForPath('dah.air').id, 'openair');
+  assert.strictEqual(getOutputFormatForPath('dah.TXT'), null);
+});
@@ -0,0 +1,36 @@
+/**
+ * DAH parser
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDAHFile } = require('../src/js/parser');
+
+// A 10NM arc around 33°40'S 149°E, from a start point the given number of minutes north of the centre
+function arcDAH(startMinutesNorth) {
+  const minutes = 33 * 60 + 40 - startMinutesNorth;
+  const startLatitude = `${Math.floor(minutes / 60)}${String(minutes % 60).padStart(2, '0')}000S`;
+  return Buffer.from([
+    'YBBB/TEST CTA A1',
+    'LATERAL LIMITS:',
+    `${startLatitude} 14900000E`,
+    'then clockwise arc of radius 10NM centred on 3340000S 14900000E to 3350000S 14900000E',
+    '3345000S 14850000E',
+    'VERTICAL LIMITS: 8500 - FL245'
+  ].join('\n'));
+}
+
+test('an arc whose points lie on its radius gives no diagnostic', async () => {
+  const { diagnostics, airspaces } = await parseDAHFile(arcDAH(10));
+  assert.deepStrictEqual(diagnostics.filter(diagnostic => diagnostic.kind === 'ARC_RADIUS_MISMATCH'), []);
+  assert.strictEqual(airspaces[0].arcs.length, 1);
+});
+
+test('an arc start point off the stated radius is reported against its line', async () => {
+  const { diagnostics } = await parseDAHFile(arcDAH(45));
+  const mismatches = diagnostics.filter(diagnostic => diagnostic.kind === 'ARC_RADIUS_MISMATCH');
+
+  assert.strictEqual(mismatches.length, 1);
+  assert.match(mismatches[0].message, /^start point is 45\.0NM from the centre, not 10NM$/);
+  assert.strictEqual(mismatches[0].line, 4);
+});
@@ -0,0 +1,36 @@
+/**
+ * Geometry validation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateAirspaces } = require('../src/js/validation');
+const { parseAltitude } = require('../src/js/altitude');
+
+// A triangle near Sydney, closed or not
+function makeAirspace(closed) {
+  const boundaries = [
+    { latitude: -33.9, longitude: 151.1 },
+    { latitude: -34.0, longitude: 151.1 },
+    { latitude: -34.0, longitude: 151.2 }
+  ];
+  return {
+    id: 'TEST',
+    name: 'TEST',
+    boundaries: closed ? [...boundaries, boundaries[0]] : boundaries,
+    lowerLimit: parseAltitude('SFC'),
+    upperLimit: parseAltitude('FL245'),
+    volumes: []
+  };
+}
+
+test('an open boundary is reported as an info issue', () => {
+  const issues = validateAirspaces([makeAirspace(false)]).filter(issue => issue.code === 'UNCLOSED');
+  assert.strictEqual(issues.length, 1);
+  assert.strictEqual(issues[0].severity, 'info');
+  assert.strictEqual(issues[0].airspaceIndex, 0);
+});
+
+test('a closed boundary is not reported as open', () => {
+  assert.deepStrictEqual(validateAirspaces([makeAirspace(true)]).filter(issue => issue.code === 'UNCLOSED'), []);
+});
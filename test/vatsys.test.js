@@ -0,0 +1,20 @@
+/**
+ * vatSys Volumes and Sectors XML
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { convertToVatSys } = require('../src/js/vatsys');
+
+test('source text with "--" does not break the header comment', () => {
+  const { volumes, sectors } = convertToVatSys({
+    metadata: { source: 'DAH --- draft <copy>', airac: '2511' },
+    airspaces: []
+  });
+
+  [volumes, sectors].forEach(xml => {
+    const comment = xml.match(/<!--([\s\S]*?)-->/)[1];
+    assert.ok(!comment.includes('--'), comment);
+    assert.match(comment, /DAH - - - draft &lt;copy&gt; \(AIRAC 2511\), generated by DAH Extractor/);
+  });
+});